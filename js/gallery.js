@@ -1,13 +1,59 @@
 /**
  * Gallery — Tag filtering and AI semantic search.
  *
- * Client-side filtering works without any backend.
+ * Tags can be combined, matching images with all of them or with any, and
+ * narrow a search as well as the whole gallery; each tag shows how many of
+ * the images in play it would leave. Client-side filtering works without
+ * any backend.
+ *
+ * Only the latest search is ever applied: starting another cancels the one
+ * in flight. Results are cached for the session (see search-cache.js), each
+ * shows its score and why it matched, and a search with nothing relevant
+ * shows its closest matches instead.
  * AI search calls the Cloudflare Worker endpoint and is optional —
  * if the endpoint is unavailable, the gallery degrades gracefully.
+ *
+ * "More like this" (on each item, from the lightbox, or ?similar=<id>)
+ * reorders the grid by how closely each image's description matches one
+ * image's. It is offered only while the worker offers /similar (see
+ * similar-search.js); if it fails, the view stays as it was and a notice
+ * says why.
+ *
+ * The filter bar and grid are built from data/gallery-tags.json, or from
+ * the worker's /tags and /images when that file has no images. Items are
+ * rendered a page at a time as the visitor scrolls.
+ *
+ * The view lives in the URL — ?tag=&match=&q=&similar=&image=, with one tag
+ * parameter per selected tag — so it survives a reload and can be shared.
+ * Changing tags, starting a search, "more like this" and opening the
+ * lightbox add history entries; refining a query or stepping through the
+ * lightbox replace the current one.
  */
 
 import { SEARCH_ENDPOINT } from './config.js';
 import imageLoader from './image-loader.js';
+import SearchCache from './search-cache.js';
+import similarSearch from './similar-search.js';
+
+// Search results scoring below this (0–1) are left out as irrelevant
+const MIN_SEARCH_SCORE = 0.4;
+
+// Shown when no result reaches MIN_SEARCH_SCORE
+const CLOSEST_MATCHES = 12;
+
+// Results asked for per search (the worker's maximum), so tags can narrow
+// them without searching again
+const SEARCH_LIMIT = 100;
+
+const GALLERY_DATA = 'data/gallery-tags.json';
+
+// Items added to the grid at a time
+const PAGE_SIZE = 24;
+
+// Thumbnail width used for the blurred placeholder
+const THUMB_WIDTH = 40;
+
+const SIMILAR_FAILED = '“More like this” is not available right now.';
 
 class Gallery {
   constructor() {
@@ -15,31 +61,90 @@ class Gallery {
     this.searchInput = document.getElementById('gallery-search');
     this.filterBar = document.querySelector('.filter-bar');
     this.emptyState = document.querySelector('.gallery-page__empty');
-    this.allItems = [];
-    this.activeTag = 'all';
+    this.notice = document.querySelector('.gallery-page__notice');
+    this.images = [];
+    this.imagesById = new Map();
+    this.nodes = new Map();
+    this.view = [];
+    this.rendered = 0;
+    this.sentinel = null;
+    this.scrollObserver = null;
+    this.activeTags = [];
+    this.tagMode = 'all';
+    this.modeButton = null;
+    this.clearButton = null;
+    this.results = null;
+    this.resultsKey = '|';
+    this.matchReasons = new Map();
+    this.searchController = null;
+    this.cache = new SearchCache();
     this.searchDebounceTimer = null;
     this.isSearching = false;
+    this.lightboxImage = '';
+    this.appliedView = null;
+    this.restoring = false;
+    this.pendingBack = false;
+    this.afterBack = null;
 
     this.init();
   }
 
-  init() {
+  async init() {
     if (!this.grid) return;
 
-    // Cache all gallery items
-    this.allItems = [...this.grid.querySelectorAll('.gallery-item')];
+    const { tags, images } = await this.loadData();
+    this.images = images;
+    this.imagesById = new Map(images.map(img => [img.id, img]));
+    this.buildFilterBar(tags);
+    this.setupInfiniteScroll();
+
+    // "More like this" buttons, while the worker offers /similar
+    document.addEventListener('gallery:similar-search', (e) => this.setSimilarAvailable(e.detail.available));
+    similarSearch.isAvailable().then(available => this.setSimilarAvailable(available));
+
+    document.addEventListener('gallery:similar', (e) => {
+      e.preventDefault();
+      // The lightbox closes first, which may be going back in history
+      this.whenSettled(() => this.selectSimilar(e.detail.id));
+    });
+
+    // Lightbox image in the URL
+    document.addEventListener('lightbox:show', (e) => this.onLightboxShow(e.detail.id));
+    document.addEventListener('lightbox:close', () => this.onLightboxClose());
 
-    // Tag filter click handlers
+    window.addEventListener('popstate', () => {
+      if (this.pendingBack) {
+        this.pendingBack = false;
+        const next = this.afterBack;
+        this.afterBack = null;
+        if (next) next();
+        return;
+      }
+      this.applyUrlState();
+    });
+
+    // Tag filter click handlers; the search, if any, stays
     if (this.filterBar) {
       this.filterBar.addEventListener('click', (e) => {
-        const btn = e.target.closest('[data-tag]');
-        if (btn) {
-          this.filterByTag(btn.dataset.tag);
-          // Clear search when clicking a filter
-          if (this.searchInput) {
-            this.searchInput.value = '';
-          }
+        const btn = e.target.closest('button');
+        if (!btn) return;
+
+        let tags = this.activeTags;
+        let mode = this.tagMode;
+        if (btn.dataset.tag) {
+          const tag = btn.dataset.tag;
+          tags = tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag];
+        } else if (btn === this.modeButton) {
+          mode = mode === 'all' ? 'any' : 'all';
+        } else if (btn === this.clearButton) {
+          tags = [];
+        } else {
+          return;
         }
+
+        this.setTags(tags, mode);
+        this.applyFilters();
+        this.updateUrl({ tags, match: mode }, { push: true });
       });
     }
 
@@ -50,7 +155,7 @@ class Gallery {
         const query = e.target.value.trim();
 
         this.searchDebounceTimer = setTimeout(() => {
-          this.handleSearch(query);
+          this.submitSearch(query);
         }, 300);
       });
 
@@ -59,115 +164,591 @@ class Gallery {
         if (e.key === 'Enter') {
           e.preventDefault();
           clearTimeout(this.searchDebounceTimer);
-          this.handleSearch(this.searchInput.value.trim());
+          this.submitSearch(this.searchInput.value.trim());
         }
       });
     }
+
+    this.applyUrlState();
   }
 
   /**
-   * Filter gallery items by tag.
+   * Run a search typed by the visitor and record it in the URL. Starting a
+   * search adds a history entry; refining it replaces that entry.
    */
-  filterByTag(tag) {
-    this.activeTag = tag;
-    this.isSearching = false;
+  submitSearch(query) {
+    const { q } = this.readUrlState();
+    if (query === q) return;
+    this.handleSearch(query);
+    this.updateUrl({ q: query, similar: '' }, { push: !q });
+  }
+
+  /**
+   * "More like this" chosen by the visitor, recorded in the URL once the
+   * results are shown.
+   */
+  async selectSimilar(id) {
+    const shown = await this.showSimilar(id);
+    if (shown) {
+      this.updateUrl({ q: '', similar: id, image: '' }, { push: true });
+    } else if (shown === false) {
+      this.setNotice(SIMILAR_FAILED);
+    }
+  }
+
+  /**
+   * The view described by the URL.
+   */
+  readUrlState() {
+    const params = new URLSearchParams(window.location.search);
+    return {
+      tags: params.getAll('tag').filter(Boolean),
+      match: params.get('match') === 'any' ? 'any' : 'all',
+      q: params.get('q') || '',
+      similar: params.get('similar') || '',
+      image: params.get('image') || ''
+    };
+  }
+
+  /**
+   * Write view changes to the URL, as a new history entry when `push` is
+   * set and in place of the current one otherwise. Entries pushed for the
+   * lightbox are marked so closing it can go back instead of piling up.
+   */
+  updateUrl(changes, { push = false, lightbox = false } = {}) {
+    if (this.restoring) return;
+
+    const state = { ...this.readUrlState(), ...changes };
+    const params = new URLSearchParams();
+    state.tags.forEach(tag => params.append('tag', tag));
+    if (state.match === 'any') params.set('match', 'any');
+    if (state.q) params.set('q', state.q);
+    if (state.similar) params.set('similar', state.similar);
+    if (state.image) params.set('image', state.image);
+
+    const query = params.toString();
+    const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`;
+    if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return;
+
+    if (push) {
+      history.pushState({ lightbox }, '', url);
+    } else {
+      history.replaceState(history.state, '', url);
+    }
+    this.appliedView = this.viewKey(state);
+  }
+
+  /**
+   * Identifies the grid view of a URL state, which ignores the lightbox.
+   */
+  viewKey({ tags, match, q, similar }) {
+    return `${tags.join(',')}|${match}|${q}|${similar}`;
+  }
+
+  /**
+   * Show the view in the URL: on load, and on back/forward.
+   */
+  async applyUrlState() {
+    const { tags, match, q, similar, image } = this.readUrlState();
+    const view = this.viewKey({ tags, match, q, similar });
+
+    let results = null;
+    this.restoring = true;
+    try {
+      // Back/forward between lightbox images keeps the grid as it is
+      if (view !== this.appliedView) {
+        this.appliedView = view;
+        if (this.searchInput) this.searchInput.value = q;
+        this.setTags(tags, match);
+        if (`${q}|${similar}` === this.resultsKey) {
+          // Only the tags changed
+          this.applyFilters();
+        } else if (similar) {
+          results = this.showSimilar(similar).then(async (shown) => {
+            if (shown !== false || this.readUrlState().similar !== similar) return;
+            // Show the rest of the view instead, without ?similar=
+            this.updateUrl({ similar: '' });
+            await this.handleSearch(q);
+            this.setNotice(SIMILAR_FAILED);
+          });
+        } else {
+          results = this.handleSearch(q);
+        }
+      }
+    } finally {
+      this.restoring = false;
+    }
+
+    // The lightbox image has to be in the grid, so wait for its results
+    await results;
+    if (this.readUrlState().image !== image) return;
+    this.restoring = true;
+    try {
+      this.syncLightbox(image);
+    } finally {
+      this.restoring = false;
+    }
+  }
+
+  /**
+   * Open the lightbox on an image, or close it, to match the URL.
+   */
+  syncLightbox(id) {
+    if (id === this.lightboxImage) return;
+    if (!id) {
+      document.dispatchEvent(new CustomEvent('lightbox:dismiss'));
+      return;
+    }
+    const index = this.view.findIndex(img => img.id === id);
+    if (index === -1) return;
+    this.renderThrough(index);
+    this.nodes.get(id).querySelector('.image-container').click();
+  }
+
+  onLightboxShow(id) {
+    const opening = !this.lightboxImage;
+    this.lightboxImage = id;
+    if (id) this.updateUrl({ image: id }, { push: opening, lightbox: opening });
+  }
+
+  onLightboxClose() {
+    this.lightboxImage = '';
+    if (this.restoring) return;
+
+    if (history.state?.lightbox) {
+      // Undo the entry opening it pushed, so back does not reopen it
+      this.pendingBack = true;
+      history.back();
+    } else {
+      this.updateUrl({ image: '' });
+    }
+  }
+
+  /**
+   * Run `fn` once a pending history.back() has landed, or now.
+   */
+  whenSettled(fn) {
+    if (this.pendingBack) {
+      this.afterBack = fn;
+    } else {
+      fn();
+    }
+  }
+
+  /**
+   * Select tags and whether images need all of them or any.
+   */
+  setTags(tags, mode) {
+    this.activeTags = tags;
+    this.tagMode = mode;
 
-    // Update active state on filter buttons
     if (this.filterBar) {
       this.filterBar.querySelectorAll('[data-tag]').forEach(btn => {
-        const isActive = btn.dataset.tag === tag;
+        const isActive = tags.includes(btn.dataset.tag);
         btn.classList.toggle('filter-bar__tag--active', isActive);
-        btn.setAttribute('aria-selected', String(isActive));
+        btn.setAttribute('aria-pressed', String(isActive));
       });
     }
+    if (this.modeButton) {
+      this.modeButton.textContent = `match ${mode}`;
+      this.modeButton.style.display = tags.length > 1 ? '' : 'none';
+    }
+    if (this.clearButton) {
+      this.clearButton.style.display = tags.length ? '' : 'none';
+    }
+  }
 
-    // Show/hide items
-    let visibleCount = 0;
-    this.allItems.forEach(item => {
-      const tags = (item.dataset.tags || '').split(',').map(t => t.trim());
-      const visible = tag === 'all' || tags.includes(tag);
-      item.style.display = visible ? '' : 'none';
-      item.style.order = '';
-      if (visible) visibleCount++;
-    });
+  /**
+   * Show the images in play — the search results, or every image — that
+   * pass the selected tags, and count what each tag would leave.
+   */
+  applyFilters() {
+    const pool = this.results || this.images;
+    this.setView(pool.filter(img => this.matchesTags(img, this.activeTags)));
+    this.updateTagCounts(pool);
+  }
 
-    this.updateEmptyState(visibleCount === 0);
+  matchesTags(img, tags) {
+    if (tags.length === 0) return true;
+    const has = tag => (img.tags || []).includes(tag);
+    return this.tagMode === 'any' ? tags.some(has) : tags.every(has);
+  }
+
+  /**
+   * Count, for each tag, the images in `pool` that carry it and, when
+   * images need every selected tag, the other selected tags too. Tags that
+   * would leave nothing are disabled.
+   */
+  updateTagCounts(pool) {
+    if (!this.filterBar) return;
+
+    this.filterBar.querySelectorAll('[data-tag]').forEach(btn => {
+      const tag = btn.dataset.tag;
+      const others = this.tagMode === 'all' ? this.activeTags.filter(t => t !== tag) : [];
+      const count = pool.filter(img => (img.tags || []).includes(tag) && this.matchesTags(img, others)).length;
+
+      btn.querySelector('.filter-bar__count').textContent = count;
+      btn.disabled = count === 0 && !this.activeTags.includes(tag);
+    });
   }
 
   /**
    * Handle AI semantic search.
    */
   async handleSearch(query) {
+    this.resultsKey = `${query}|`;
+    this.setNotice('');
+
     if (query.length < 2) {
-      // Reset to tag filter view
-      this.filterByTag(this.activeTag);
+      // Back to the whole gallery
+      this.cancelSearch();
+      this.isSearching = false;
+      this.showRanked(null);
+      return;
+    }
+
+    this.isSearching = true;
+    let results;
+    try {
+      const key = `q:${query.toLowerCase().replace(/\s+/g, ' ')}`;
+      results = await this.fetchResults('/search', { query, limit: SEARCH_LIMIT }, key);
+    } catch (err) {
+      console.warn('[Gallery] Search error:', err.message);
+      // Graceful degradation: fall back to client-side text matching
+      this.localSearch(query);
       return;
     }
+    // Superseded by a newer search
+    if (!results) return;
+
+    let shown = results.filter(r => r.score >= MIN_SEARCH_SCORE);
+    if (shown.length === 0 && results.length > 0) {
+      shown = results.slice(0, CLOSEST_MATCHES);
+      this.setNotice(`No results for “${query}” — showing the closest matches.`);
+    }
+    this.showRanked(shown.map(r => r.id), new Map(shown.map(r => [r.id, this.matchReason(r)])));
+  }
 
+  /**
+   * Show the images described most like `id`, starting with itself.
+   * Resolves to true once they are shown, false if the similar-image search failed,
+   * leaving the grid and search box as they were, and null if a newer
+   * search superseded it.
+   */
+  async showSimilar(id) {
+    let results;
+    try {
+      results = await this.fetchResults('/similar', { id, limit: 50 }, `similar:${id}`);
+    } catch (err) {
+      console.warn('[Gallery] Similar search error:', err.message);
+      if (err.status === 503) similarSearch.markUnavailable();
+      return false;
+    }
+    if (!results) return null;
+
+    this.resultsKey = `|${id}`;
     this.isSearching = true;
+    this.setNotice('');
+    if (this.searchInput) this.searchInput.value = '';
+
+    const reasons = new Map(results.map(r => [r.id, `${Math.round(r.score * 100)}% similar`]));
+    this.showRanked([id, ...results.map(r => r.id)], reasons);
+    this.grid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    return true;
+  }
+
+  /**
+   * POST to a search route, cancelling any request still in flight and
+   * answering repeats from the cache. Resolves to [{ id, score, ... }], or
+   * null when a newer request cancelled this one.
+   */
+  async fetchResults(path, body, cacheKey) {
+    this.cancelSearch();
+
+    const cached = this.cache.get(cacheKey);
+    if (cached) return cached;
+
+    const controller = new AbortController();
+    this.searchController = controller;
     this.grid.setAttribute('aria-busy', 'true');
 
     try {
-      const response = await fetch(`${SEARCH_ENDPOINT}/search`, {
+      const response = await fetch(`${SEARCH_ENDPOINT}${path}`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ query, limit: 50 })
+        body: JSON.stringify(body),
+        signal: controller.signal
       });
 
       if (!response.ok) {
-        throw new Error(`Search returned ${response.status}`);
+        const error = new Error(`${path} returned ${response.status}`);
+        error.status = response.status;
+        throw error;
       }
 
-      const results = await response.json();
-      const resultMap = new Map(results.map((r, i) => [r.id, i]));
-
-      // Reorder and filter gallery items based on results
-      let visibleCount = 0;
-      this.allItems.forEach(item => {
-        const imageId = item.dataset.imageId;
-        const inResults = resultMap.has(imageId);
-        item.style.display = inResults ? '' : 'none';
-        if (inResults) {
-          item.style.order = String(resultMap.get(imageId));
-          visibleCount++;
-        }
-      });
-
-      this.updateEmptyState(visibleCount === 0);
-
-      // Re-observe newly visible images
-      if (this.grid) {
-        imageLoader.observeAll(this.grid);
-      }
+      // Metadata is already in this.images; keep the cache small
+      const results = (await response.json())
+        .map(({ id, score, vectorScore, keywordScore }) => ({ id, score, vectorScore, keywordScore }));
+      this.cache.set(cacheKey, results);
+      return results;
     } catch (err) {
-      console.warn('[Gallery] Search error:', err.message);
-      // Graceful degradation: fall back to client-side text matching
-      this.localSearch(query);
+      if (controller.signal.aborted) return null;
+      throw err;
     } finally {
-      this.grid.removeAttribute('aria-busy');
+      if (this.searchController === controller) {
+        this.searchController = null;
+        this.grid.removeAttribute('aria-busy');
+      }
     }
   }
 
+  /**
+   * Abort the search request in flight, if any.
+   */
+  cancelSearch() {
+    if (!this.searchController) return;
+    this.searchController.abort();
+    this.searchController = null;
+    this.grid.removeAttribute('aria-busy');
+  }
+
+  /**
+   * Badge for a search result: its score and why it matched.
+   */
+  matchReason({ score, vectorScore, keywordScore }) {
+    const words = keywordScore > 0;
+    const meaning = vectorScore >= MIN_SEARCH_SCORE;
+    const reason = words && meaning ? 'words and meaning' : words ? 'matching words' : 'similar meaning';
+    return `${Math.round(score * 100)}% · ${reason}`;
+  }
+
+  /**
+   * Make the images with these ids, in this order, the ones in play, with
+   * an optional badge per id. Null puts the whole gallery back.
+   */
+  showRanked(ids, reasons = new Map()) {
+    this.results = ids && ids.map(id => this.imagesById.get(id)).filter(Boolean);
+    this.matchReasons = reasons;
+    this.applyFilters();
+  }
+
   /**
    * Fallback: simple client-side text search on alt text and tags.
    */
   localSearch(query) {
     const terms = query.toLowerCase().split(/\s+/);
-    let visibleCount = 0;
-
-    this.allItems.forEach(item => {
-      const searchText = [
-        item.dataset.tags || '',
-        item.querySelector('img[alt]')?.alt || ''
-      ].join(' ').toLowerCase();
-
-      const matches = terms.every(term => searchText.includes(term));
-      item.style.display = matches ? '' : 'none';
-      item.style.order = '';
-      if (matches) visibleCount++;
+
+    const ids = this.images.filter(img => {
+      const searchText = [(img.tags || []).join(' '), img.alt || ''].join(' ').toLowerCase();
+      return terms.every(term => searchText.includes(term));
+    }).map(img => img.id);
+    this.showRanked(ids, new Map(ids.map(id => [id, 'matching words'])));
+  }
+
+  /**
+   * Load the gallery's tags and images: data/gallery-tags.json, or the
+   * worker's catalog when that file is missing or has no images yet.
+   */
+  async loadData() {
+    try {
+      const data = await this.fetchJson(GALLERY_DATA);
+      if (data.images.length) return data;
+    } catch (err) {
+      console.warn('[Gallery] Could not load gallery data:', err.message);
+    }
+
+    try {
+      const tags = await this.fetchJson(`${SEARCH_ENDPOINT}/tags`);
+      const images = [];
+      let cursor = '';
+      do {
+        const page = await this.fetchJson(
+          `${SEARCH_ENDPOINT}/images?limit=500${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`
+        );
+        images.push(...page.images);
+        cursor = page.cursor;
+      } while (cursor);
+      return { tags: tags.map(t => t.tag), images };
+    } catch (err) {
+      console.warn('[Gallery] Could not load images from search:', err.message);
+      return { tags: [], images: [] };
+    }
+  }
+
+  async fetchJson(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`${url} returned ${response.status}`);
+    }
+    return response.json();
+  }
+
+  /**
+   * One toggle button per tag, with its count, after the match mode and
+   * "clear all" controls.
+   */
+  buildFilterBar(tags) {
+    if (!this.filterBar) return;
+
+    const button = (label, modifier) => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = modifier ? `filter-bar__tag filter-bar__tag--${modifier}` : 'filter-bar__tag';
+      btn.textContent = label;
+      return btn;
+    };
+
+    this.modeButton = button('match all', 'control');
+    this.modeButton.title = 'Show images with all of the selected tags, or with any of them';
+    this.clearButton = button('clear all', 'control');
+
+    const buttons = tags.map(tag => {
+      const btn = button(tag);
+      btn.dataset.tag = tag;
+      btn.setAttribute('aria-pressed', 'false');
+
+      const count = document.createElement('span');
+      count.className = 'filter-bar__count';
+      btn.append(' ', count);
+      return btn;
     });
+    this.filterBar.replaceChildren(this.modeButton, this.clearButton, ...buttons);
+  }
+
+  /**
+   * Render the next page of the view whenever a sentinel below the grid
+   * comes near the viewport. Without IntersectionObserver every item is
+   * rendered at once.
+   */
+  setupInfiniteScroll() {
+    if (!('IntersectionObserver' in window)) return;
+
+    this.sentinel = document.createElement('div');
+    this.sentinel.className = 'gallery-page__sentinel';
+    this.sentinel.setAttribute('aria-hidden', 'true');
+    this.grid.after(this.sentinel);
+
+    this.scrollObserver = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) this.renderMore();
+    }, { rootMargin: '600px 0px' });
+  }
 
-    this.updateEmptyState(visibleCount === 0);
+  /**
+   * Replace the grid with these images, starting again from the first page.
+   */
+  setView(images) {
+    this.view = images;
+    this.rendered = 0;
+    this.grid.replaceChildren();
+    this.renderMore();
+    this.updateEmptyState(images.length === 0);
+  }
+
+  /**
+   * Append the next page of the view to the grid.
+   */
+  renderMore() {
+    const count = this.scrollObserver ? PAGE_SIZE : this.view.length;
+    const next = this.view.slice(this.rendered, this.rendered + count);
+    if (next.length === 0) return;
+
+    this.grid.append(...next.map(img => {
+      const node = this.nodeFor(img);
+      const badge = node.querySelector('.gallery-item__match');
+      badge.textContent = this.matchReasons.get(img.id) || '';
+      badge.style.display = badge.textContent ? '' : 'none';
+      return node;
+    }));
+    this.rendered += next.length;
+    imageLoader.observeAll(this.grid);
+
+    // Observing again reports the sentinel's position afresh, so a page
+    // that leaves it in view is followed by another
+    if (this.scrollObserver) {
+      this.scrollObserver.unobserve(this.sentinel);
+      if (this.rendered < this.view.length) this.scrollObserver.observe(this.sentinel);
+    }
+  }
+
+  /**
+   * Render the view up to and including the image at `index`.
+   */
+  renderThrough(index) {
+    while (this.rendered <= index && this.rendered < this.view.length) {
+      this.renderMore();
+    }
+  }
+
+  /**
+   * The grid item for an image, built once and reused between views so
+   * loaded images stay loaded.
+   */
+  nodeFor(img) {
+    if (this.nodes.has(img.id)) return this.nodes.get(img.id);
+
+    const item = document.createElement('div');
+    item.className = 'gallery-item';
+    item.dataset.imageId = img.id;
+    item.dataset.tags = (img.tags || []).join(',');
+
+    const container = document.createElement('div');
+    container.className = 'image-container';
+
+    const thumb = document.createElement('img');
+    thumb.className = 'image-container__thumb';
+    if (img.placeholder) {
+      thumb.dataset.placeholder = img.placeholder;
+    } else if (img.thumb) {
+      thumb.src = imageLoader.resolveUrl(img.thumb);
+    }
+    thumb.alt = '';
+    thumb.setAttribute('aria-hidden', 'true');
+    thumb.width = THUMB_WIDTH;
+
+    const full = document.createElement('img');
+    full.className = 'image-container__full';
+    full.dataset.src = img.src;
+    full.alt = img.alt || '';
+    if (img.width && img.height) {
+      thumb.height = Math.round(THUMB_WIDTH * img.height / img.width);
+      full.width = img.width;
+      full.height = img.height;
+    }
+    full.loading = 'lazy';
+
+    container.append(thumb, full);
+
+    // "More like this", also offered from the lightbox
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'gallery-item__similar';
+    btn.textContent = 'more like this';
+    btn.addEventListener('click', () => this.selectSimilar(img.id));
+
+    // Score and reason while showing search results
+    const badge = document.createElement('span');
+    badge.className = 'gallery-item__match';
+
+    item.append(container, badge, btn);
+    this.nodes.set(img.id, item);
+    return item;
+  }
+
+  /**
+   * Show or hide every item's "more like this" button.
+   */
+  setSimilarAvailable(available) {
+    this.grid.classList.toggle('gallery-grid--similar', available);
+  }
+
+  /**
+   * Show a message above the grid, or hide it when `text` is empty.
+   */
+  setNotice(text) {
+    if (this.notice) {
+      this.notice.textContent = text;
+      this.notice.style.display = text ? '' : 'none';
+    }
   }
 
   /**
@@ -3,11 +3,22 @@
  *
  * Handles the thumbnail-to-full-resolution crossfade pattern.
  * Each .image-container has two <img> elements:
- *   - .image-container__thumb: small blurred placeholder (loaded eagerly)
+ *   - .image-container__thumb: small blurred placeholder, normally a base64
+ *     data URI embedded by the build so it costs no request (older images
+ *     fall back to the CDN thumbnail)
  *   - .image-container__full: full-resolution image (loaded lazily via data-src)
  *
+ * Markup created in the browser can carry the data URI as data-placeholder
+ * on the thumb instead; it is rendered inline as soon as the image is
+ * observed.
+ *
  * When the full image enters the viewport, it is preloaded in a hidden Image(),
  * then swapped in with a CSS crossfade triggered by adding .image-container--loaded.
+ *
+ * Images with responsive variants sit in a <picture> and carry data-srcset
+ * (and each <source> its own data-srcset). Those attributes are applied in
+ * place so the browser picks the format and width, and the crossfade runs
+ * on the <img> load event instead.
  */
 
 import { CDN_BASE } from './config.js';
@@ -21,6 +32,8 @@ class ImageLoader {
   }
 
   init() {
+    this.showPlaceholders(document);
+
     if (!('IntersectionObserver' in window)) {
       // Fallback: load all images immediately
       document.querySelectorAll('.image-container__full[data-src]')
@@ -69,6 +82,12 @@ class ImageLoader {
     if (!src) return;
 
     const fullSrc = this.resolveUrl(src);
+
+    if (img.dataset.srcset) {
+      this.loadResponsive(img, fullSrc);
+      return;
+    }
+
     const preloader = new Image();
 
     preloader.onload = () => {
@@ -90,6 +109,36 @@ class ImageLoader {
     preloader.src = fullSrc;
   }
 
+  /**
+   * Apply data-srcset to a <picture> and its <img>, letting the browser
+   * choose the candidate, then crossfade once it has loaded.
+   */
+  loadResponsive(img, fullSrc) {
+    const picture = img.closest('picture');
+    if (picture) {
+      picture.querySelectorAll('source[data-srcset]').forEach(source => {
+        source.srcset = source.dataset.srcset;
+        source.removeAttribute('data-srcset');
+      });
+    }
+
+    img.addEventListener('load', () => {
+      const container = img.closest('.image-container');
+      if (container) {
+        container.classList.add('image-container--loaded');
+      }
+    }, { once: true });
+
+    img.addEventListener('error', () => {
+      console.warn(`[ImageLoader] Failed to load: ${img.currentSrc || fullSrc}`);
+    }, { once: true });
+
+    img.srcset = img.dataset.srcset;
+    img.src = fullSrc;
+    img.removeAttribute('data-srcset');
+    img.removeAttribute('data-src');
+  }
+
   /**
    * Observe a dynamically added image element.
    * Call this after inserting new .image-container__full elements into the DOM.
@@ -100,10 +149,22 @@ class ImageLoader {
     }
   }
 
+  /**
+   * Render inline placeholders (data-placeholder data URIs) within a
+   * container element.
+   */
+  showPlaceholders(container) {
+    container.querySelectorAll('.image-container__thumb[data-placeholder]').forEach(thumb => {
+      thumb.src = thumb.dataset.placeholder;
+      thumb.removeAttribute('data-placeholder');
+    });
+  }
+
   /**
    * Observe all unloaded images within a container element.
    */
   observeAll(container) {
+    this.showPlaceholders(container);
     const images = container.querySelectorAll('.image-container__full[data-src]');
     images.forEach(img => this.observe(img));
   }
@@ -2,20 +2,29 @@
  * Lightbox — Fullscreen image viewer with navigation and zoom.
  *
  * Features:
- *   - Click any .image-container to open fullscreen
+ *   - Click any .image-container to open fullscreen, including ones added
+ *     to the page later
  *   - Navigate between images with left/right arrows or click prev/next
  *   - Close with X button or Escape key
  *   - Click image once in fullscreen to zoom based on native pixel dimensions
  *   - Click again or press Escape to exit zoom
  *   - Supports mouse drag to pan while zoomed
  *   - Touch swipe to navigate between images
+ *   - "More like this" reorders the gallery by description similarity, or
+ *     opens the gallery for it when viewing a project; shown only while the
+ *     search worker offers /similar
+ *
+ * Announces `lightbox:show` ({ id }) and `lightbox:close` on document, and
+ * closes on `lightbox:dismiss`, so the gallery can mirror it in the URL.
  */
 
 import { CDN_BASE } from './config.js';
+import similarSearch from './similar-search.js';
 
 class Lightbox {
   constructor() {
     this.images = [];
+    this.groupLabel = '';
     this.currentIndex = 0;
     this.isOpen = false;
     this.isZoomed = false;
@@ -37,6 +46,17 @@ class Lightbox {
     return `${CDN_BASE}${src.startsWith('/') ? '' : '/'}${src}`;
   }
 
+  /**
+   * Search id of an image: the gallery item's data-image-id, or
+   * "<slug>/<file>" for a project original. Empty when there is none.
+   */
+  imageIdFor(container, src) {
+    const item = container.closest('[data-image-id]');
+    if (item) return item.dataset.imageId;
+    const match = /\/projects\/([^/]+)\/full\/([^/?#]+)$/.exec(src);
+    return match ? `${match[1]}/${match[2]}` : '';
+  }
+
   /**
    * Build the lightbox overlay DOM structure.
    */
@@ -55,6 +75,7 @@ class Lightbox {
         <img class="lightbox__img" alt="" draggable="false">
       </div>
       <div class="lightbox__counter"></div>
+      <button class="lightbox__similar" type="button">more like this</button>
     `;
 
     this.closeBtn = this.overlay.querySelector('.lightbox__close');
@@ -63,6 +84,7 @@ class Lightbox {
     this.stage = this.overlay.querySelector('.lightbox__stage');
     this.img = this.overlay.querySelector('.lightbox__img');
     this.counter = this.overlay.querySelector('.lightbox__counter');
+    this.similarBtn = this.overlay.querySelector('.lightbox__similar');
 
     // Close button
     this.closeBtn.addEventListener('click', (e) => {
@@ -70,6 +92,19 @@ class Lightbox {
       this.close();
     });
 
+    // More like this — handled by the gallery when it is on the page
+    this.similarBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const { id } = this.images[this.currentIndex];
+      this.close();
+      const handled = !document.dispatchEvent(
+        new CustomEvent('gallery:similar', { detail: { id }, cancelable: true })
+      );
+      if (!handled) {
+        window.location.href = `/gallery.html?similar=${encodeURIComponent(id)}`;
+      }
+    });
+
     // Prev/Next buttons
     this.prevBtn.addEventListener('click', (e) => {
       e.stopPropagation();
@@ -152,6 +187,12 @@ class Lightbox {
    * Bind keyboard events.
    */
   bindGlobalEvents() {
+    document.addEventListener('lightbox:dismiss', () => {
+      if (this.isOpen) this.close();
+    });
+
+    document.addEventListener('gallery:similar-search', () => this.updateSimilarButton());
+
     document.addEventListener('keydown', (e) => {
       if (!this.isOpen) return;
 
@@ -177,29 +218,29 @@ class Lightbox {
   }
 
   /**
-   * Find and attach click listeners to all image containers on the page.
+   * Open the lightbox from any image container on the page, including ones
+   * added later (the gallery renders its grid as the visitor scrolls).
    * Groups images by their parent section for navigation context.
    */
   attachToImages() {
-    // Collect image groups — each .project-page__images or .gallery-grid
-    // gets its own group, or all images on page if no grouping container
-    const containers = document.querySelectorAll('.image-container');
-    if (!containers.length) return;
-
-    containers.forEach((container) => {
-      // Skip containers inside project-cards (home page) — those are links
-      if (container.closest('.project-card')) return;
-
-      container.style.cursor = 'pointer';
-      container.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.openFromContainer(container);
-      });
+    // Containers inside project-cards (home page) are links
+    const opens = (container) => container && !container.closest('.project-card');
+
+    document.querySelectorAll('.image-container').forEach((container) => {
+      if (opens(container)) container.style.cursor = 'pointer';
+    });
+
+    document.addEventListener('click', (e) => {
+      const container = e.target.closest?.('.image-container');
+      if (!opens(container)) return;
+      e.preventDefault();
+      this.openFromContainer(container);
     });
   }
 
   /**
    * Collect the image set from the same parent group and open.
+   * Piece carousels are their own group, labelled by their data-section title.
    */
   openFromContainer(container) {
     // Find the group this container belongs to
@@ -208,6 +249,8 @@ class Lightbox {
       || container.closest('.gallery-grid')
       || container.parentElement;
 
+    this.groupLabel = group.dataset.section || '';
+
     const allContainers = group.querySelectorAll('.image-container');
     this.images = [];
     let clickedIndex = 0;
@@ -229,7 +272,9 @@ class Lightbox {
 
       if (c === container) clickedIndex = this.images.length;
 
-      this.images.push({ src: resolvedSrc, alt, width: w, height: h });
+      const id = this.imageIdFor(c, src);
+
+      this.images.push({ src: resolvedSrc, alt, width: w, height: h, id });
     });
 
     if (this.images.length === 0) return;
@@ -258,6 +303,7 @@ class Lightbox {
     this.isOpen = false;
     this.overlay.classList.remove('lightbox--open');
     document.body.style.overflow = '';
+    document.dispatchEvent(new CustomEvent('lightbox:close'));
   }
 
   /**
@@ -274,14 +320,30 @@ class Lightbox {
     this.img.dataset.nativeWidth = data.width;
     this.img.dataset.nativeHeight = data.height;
 
-    // Update counter
-    this.counter.textContent = `${this.currentIndex + 1} / ${this.images.length}`;
+    // Update counter, prefixed with the piece title inside a carousel
+    const position = `${this.currentIndex + 1} / ${this.images.length}`;
+    this.counter.textContent = this.groupLabel ? `${this.groupLabel} — ${position}` : position;
+
+    this.updateSimilarButton();
+    document.dispatchEvent(new CustomEvent('lightbox:show', { detail: { id: data.id } }));
 
     // Update nav button visibility
     this.prevBtn.style.display = this.currentIndex > 0 ? '' : 'none';
     this.nextBtn.style.display = this.currentIndex < this.images.length - 1 ? '' : 'none';
   }
 
+  /**
+   * Offer "more like this" for images with a search id, once the worker is
+   * known to offer /similar.
+   */
+  updateSimilarButton() {
+    const data = this.images[this.currentIndex];
+    const offered = Boolean(this.isOpen && data?.id && similarSearch.available);
+    this.similarBtn.style.display = offered ? '' : 'none';
+    // Answered with gallery:similar-search
+    if (similarSearch.available === null) similarSearch.isAvailable();
+  }
+
   prev() {
     if (this.currentIndex > 0) {
       this.currentIndex--;
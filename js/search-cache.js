@@ -0,0 +1,58 @@
+/**
+ * Search Cache — Least-recently-used store for gallery search results.
+ *
+ * Results are kept in memory and mirrored to sessionStorage, so repeating a
+ * query (typing it again, back/forward, a reload) does not go back to the
+ * worker. Storage being full or unavailable only loses the mirror.
+ */
+
+class SearchCache {
+  constructor(options = {}) {
+    this.size = options.size || 30;
+    this.storageKey = options.storageKey || 'gallery-search-cache';
+    this.entries = new Map(this.restore());
+  }
+
+  /**
+   * Cached value for `key`, marking it as the most recently used.
+   */
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    this.persist();
+    return value;
+  }
+
+  /**
+   * Store a value, dropping the least recently used entry when full.
+   */
+  set(key, value) {
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    while (this.entries.size > this.size) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+    this.persist();
+  }
+
+  restore() {
+    try {
+      const stored = JSON.parse(sessionStorage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored.slice(-this.size) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  persist() {
+    try {
+      sessionStorage.setItem(this.storageKey, JSON.stringify([...this.entries]));
+    } catch {
+      // Quota exceeded or storage disabled; the in-memory cache still works
+    }
+  }
+}
+
+export default SearchCache;
@@ -0,0 +1,75 @@
+/**
+ * Similar Search — Whether the worker can find images described alike.
+ *
+ * "More like this" is only offered when it is: the worker's GET /similar
+ * says so once per session, and a 503 from POST /similar turns it off
+ * for the rest of the session. Changes are announced as
+ * `gallery:similar-search` ({ available }) on document.
+ */
+
+import { SEARCH_ENDPOINT } from './config.js';
+
+const STORAGE_KEY = 'gallery-similar-search';
+
+class SimilarSearch {
+  constructor() {
+    // true or false once known, null until then
+    this.available = this.restore();
+    this.check = null;
+  }
+
+  /**
+   * Resolves to whether similar-image search is available, asking the worker the
+   * first time. An unreachable worker counts as unavailable but is asked
+   * again on the next page.
+   */
+  isAvailable() {
+    if (this.available !== null) return Promise.resolve(this.available);
+
+    this.check = this.check || fetch(`${SEARCH_ENDPOINT}/similar`)
+      .then(response => (response.ok ? response.json() : { available: false }))
+      .then(({ available }) => {
+        this.set(available === true);
+        return this.available;
+      })
+      .catch((err) => {
+        console.warn('[SimilarSearch] Could not reach the search worker:', err.message);
+        this.check = null;
+        return false;
+      });
+    return this.check;
+  }
+
+  /**
+   * Stop offering similar-image search, after the worker answered that it is not
+   * configured.
+   */
+  markUnavailable() {
+    this.set(false);
+  }
+
+  set(available) {
+    const changed = available !== this.available;
+    this.available = available;
+    try {
+      sessionStorage.setItem(STORAGE_KEY, String(available));
+    } catch {
+      // Storage disabled; the worker is asked again on the next page
+    }
+    if (changed) {
+      document.dispatchEvent(new CustomEvent('gallery:similar-search', { detail: { available } }));
+    }
+  }
+
+  restore() {
+    try {
+      const stored = sessionStorage.getItem(STORAGE_KEY);
+      return stored === null ? null : stored === 'true';
+    } catch {
+      return null;
+    }
+  }
+}
+
+const similarSearch = new SimilarSearch();
+export default similarSearch;
@@ -1,88 +1,119 @@
 /**
  * Add Project — Interactive CLI for creating new project pages.
  *
- * Prompts for project details, optionally uses Claude to polish the description,
- * generates thumbnails, creates the HTML page, and updates projects.json.
+ * Prompts for project details, optionally generates a polished description,
+ * adds the project to projects.json, and rebuilds the site from it.
+ *
+ * The AI path offers several description variants to pick from or merge,
+ * then takes follow-up instructions ("shorter") until one is accepted. The
+ * accepted text is recorded in the project's `descriptionHistory`
+ * (edit-project --history / --restore bring back earlier wording).
+ *
+ * Image dimensions, orientation, colour profile, dominant colour and the
+ * inline blur-up placeholder are read from the originals in R2. --backfill
+ * re-reads them for existing projects.
+ *
+ * Each image's thumbnail is also sent to the description provider for
+ * proposed alt text and a short caption. Interactive runs review every
+ * proposal (accept, edit, regenerate or skip); --describe does the same for
+ * existing projects whose images have no alt text or caption yet.
+ *
+ * --from <dir> uploads a local folder of originals first (GPS removed,
+ * renamed 01.jpg, 02.jpg, … with thumbnails, see lib/upload.js), so the
+ * images, thumbnails and page are all created in one run.
+ *
+ * Runs interactively by default. Passing --manifest or --slug switches to a
+ * non-interactive mode for scripts and CI; --dry-run prints the diff that
+ * would be applied to data/projects.json and the generated pages.
+ *
+ * Descriptions come from a pluggable provider (see lib/describe.js):
+ * --provider anthropic|fixture|none (or DESCRIPTION_PROVIDER), with
+ * --model / DESCRIPTION_MODEL and --fixture / DESCRIPTION_FIXTURE.
+ * --no-ai is shorthand for --provider none.
+ *
+ * Images are read from R2, or from a local directory with STORAGE=fs:<dir>
+ * (see lib/storage.js).
  *
  * Usage:
  *   node scripts/add-project.js
+ *   node scripts/add-project.js --manifest project.yml [--dry-run]
+ *   node scripts/add-project.js --slug new-work --title "New Work" --year 2025 \
+ *     --medium Photography --notes "rough notes" [--tags a,b] [--no-ai] [--dry-run]
+ *     [--from ./originals] [--replace]
+ *   node scripts/add-project.js --manifest project.yml --provider fixture --fixture text.json
+ *   node scripts/add-project.js --backfill            (all projects)
+ *   node scripts/add-project.js --backfill <slug>     (one project)
+ *   node scripts/add-project.js --describe [slug] [--yes] [--dry-run]
+ *
+ * Manifest (YAML or JSON) keys: slug, title, year, medium, description,
+ * notes, tags, sections, from. Flags override manifest values. Non-interactive
+ * runs accept the proposed alt text and captions as-is (--no-ai skips them).
  */
 
 import 'dotenv/config';
-import { readFile, writeFile, mkdir } from 'fs/promises';
-import { createInterface } from 'readline';
-import Anthropic from '@anthropic-ai/sdk';
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { parseArgs } from 'util';
+import { parse as parseYaml } from 'yaml';
+import sharp from 'sharp';
 import {
-  S3Client,
-  ListObjectsV2Command,
-} from '@aws-sdk/client-s3';
-
-const CDN_BASE = process.env.CDN_BASE_URL;
-const BUCKET = process.env.R2_BUCKET;
-
-// R2 client
-const s3 = new S3Client({
-  region: 'auto',
-  endpoint: process.env.R2_ENDPOINT,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID,
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
-  },
-});
-
-// Anthropic client
-const anthropic = new Anthropic({
-  apiKey: process.env.ANTHROPIC_API_KEY,
-});
+  readProjects,
+  linkProjects,
+  findProject,
+  recordDescription,
+} from './lib/projects.js';
+import { applyProjectChanges } from './lib/build.js';
+import { createPrompt } from './lib/prompt.js';
+import { createDescriber } from './lib/describe.js';
+import { HEADER_BYTES, readHeaderMetadata, dominantColor } from './lib/image-metadata.js';
+import { uploadProjectImages } from './lib/upload.js';
+import { generatePlaceholder, toThumbKey } from './lib/thumbnails.js';
+import { createStorage } from './lib/storage.js';
+
+const CLI_OPTIONS = {
+  manifest: { type: 'string' },
+  slug: { type: 'string' },
+  title: { type: 'string' },
+  year: { type: 'string' },
+  medium: { type: 'string' },
+  description: { type: 'string' },
+  notes: { type: 'string' },
+  tags: { type: 'string' },
+  'no-ai': { type: 'boolean' },
+  provider: { type: 'string' },
+  model: { type: 'string' },
+  fixture: { type: 'string' },
+  'dry-run': { type: 'boolean' },
+  from: { type: 'string' },
+  replace: { type: 'boolean' },
+  backfill: { type: 'boolean' },
+  describe: { type: 'boolean' },
+  yes: { type: 'boolean' },
+};
+
+// Number of descriptions to choose from in the interactive flow
+const DESCRIPTION_VARIANTS = 3;
+
+const MERGE_INSTRUCTION = 'Merge these drafts into one description, keeping the strongest wording from each.';
+
+// Size of the image sent to the provider when a project has no thumbnails yet
+const PREVIEW_WIDTH = 800;
+
+// R2, or a local directory with STORAGE=fs:<dir>
+const storage = createStorage();
 
 /**
- * Readline prompt helper.
- */
-function createPrompt() {
-  const rl = createInterface({
-    input: process.stdin,
-    output: process.stdout,
-  });
-
-  return {
-    ask(question) {
-      return new Promise((resolve) => {
-        rl.question(question, (answer) => resolve(answer.trim()));
-      });
-    },
-    close() {
-      rl.close();
-    },
-  };
-}
-
-/**
- * List images in R2 for a given project slug.
+ * List images in storage for a given project slug.
  */
 async function listProjectImages(slug) {
-  const prefix = `projects/${slug}/full/`;
-  const objects = [];
-  let continuationToken;
-
-  do {
-    const command = new ListObjectsV2Command({
-      Bucket: BUCKET,
-      Prefix: prefix,
-      ContinuationToken: continuationToken,
-    });
-    const response = await s3.send(command);
-    if (response.Contents) {
-      objects.push(...response.Contents);
-    }
-    continuationToken = response.NextContinuationToken;
-  } while (continuationToken);
+  const objects = await storage.list(`projects/${slug}/full/`);
 
   return objects
-    .filter(obj => /\.(jpe?g|png|webp)$/i.test(obj.Key))
+    .filter(obj => /\.(jpe?g|png|webp)$/i.test(obj.key))
     .map(obj => {
-      const filename = obj.Key.split('/').pop();
+      const filename = obj.key.split('/').pop();
       return {
-        key: obj.Key,
+        key: obj.key,
         filename,
         src: `/projects/${slug}/full/${filename}`,
         thumb: `/projects/${slug}/thumb/${filename}`,
@@ -91,174 +122,434 @@ async function listProjectImages(slug) {
 }
 
 /**
- * Use Claude to generate a polished project description.
+ * Download an object (or its first `bytes` bytes) as a Buffer.
  */
-async function generateDescription(title, year, medium, roughDescription) {
-  const systemPrompt = `You are writing artist project descriptions for Beck Andersen, a contemporary photographer and installation artist based in Chicago. Their work explores networks of dependence and trust, photography as data, and the space between documentation and construction.
-
-Write in a voice that is precise, measured, and intellectually engaged without being academic. Use present tense. Avoid jargon for its own sake. The description should feel like it belongs alongside these existing descriptions:
-
-- "This project examines light as humanity's first unit of measurement — an initial tool by which we began to order time and space."
-- "Pseudo-Data occupies the space between information and fabrication, producing images that adopt the visual language of empirical evidence while undermining its authority."
-
-Write exactly 2-3 sentences. No more.`;
-
-  const message = await anthropic.messages.create({
-    model: 'claude-sonnet-4-20250514',
-    max_tokens: 300,
-    system: systemPrompt,
-    messages: [
-      {
-        role: 'user',
-        content: `Write a project description for:
-Title: ${title}
-Year: ${year}
-Medium: ${medium}
-Rough notes: ${roughDescription}`,
-      },
-    ],
-  });
+async function fetchObject(key, bytes) {
+  return storage.get(key, { bytes });
+}
+
+/**
+ * Read real dimensions, orientation, colour profile, dominant colour and
+ * blur-up placeholder for an original in R2. Only the header is fetched
+ * unless it is too large to parse; the colour and placeholder come from the
+ * thumbnail when it exists.
+ */
+async function readImageDetails(key) {
+  let original = null;
+  let details;
+  try {
+    details = await readHeaderMetadata(await fetchObject(key, HEADER_BYTES));
+  } catch {
+    original = await fetchObject(key);
+    details = await readHeaderMetadata(original);
+  }
+
+  let preview;
+  let color;
+  try {
+    preview = await fetchObject(toThumbKey(key));
+    color = await dominantColor(preview);
+  } catch {
+    preview = original || await fetchObject(key);
+    color = await dominantColor(preview);
+  }
 
-  return message.content[0].text;
+  return { ...details, dominantColor: color, placeholder: await generatePlaceholder(preview) };
 }
 
 /**
- * Generate the HTML for a project page.
+ * Read details for a list of images, logging progress. Images that cannot
+ * be read keep whatever details they already had.
  */
-function generateProjectHTML({ slug, title, year, medium, description, images, prev, next }) {
-  const imageContainers = images.map(img => `
-      <div class="image-container">
-        <img class="image-container__thumb"
-             src="${CDN_BASE}${img.thumb}"
-             alt="" aria-hidden="true" width="40" height="30">
-        <img class="image-container__full"
-             data-src="${img.src}"
-             alt="${title}"
-             width="1200" height="900" loading="lazy">
-      </div>`).join('\n');
-
-  const prevLink = prev
-    ? `      <a href="/projects/${prev}.html">&larr; Previous</a>`
-    : '';
-  const nextLink = next
-    ? `      <a href="/projects/${next}.html">Next &rarr;</a>`
-    : '';
-
-  const prevData = prev ? `\n         data-prev-project="/projects/${prev}.html"` : '';
-  const nextData = next ? `\n         data-next-project="/projects/${next}.html"` : '';
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8">
-  <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>${title} — Beck Andersen</title>
-  <meta name="description" content="${description.substring(0, 160)}">
-  <meta property="og:title" content="${title} — Beck Andersen">
-  <meta property="og:description" content="${medium} — ${year}">
-  <meta property="og:image" content="${CDN_BASE}/projects/${slug}/full/cover.jpg">
-  <meta property="og:type" content="website">
-  <link rel="stylesheet" href="/css/variables.css">
-  <link rel="stylesheet" href="/css/base.css">
-  <link rel="stylesheet" href="/css/components.css">
-  <link rel="stylesheet" href="/css/pages.css">
-</head>
-<body>
-  <nav class="site-nav" role="navigation" aria-label="Main navigation">
-    <a class="site-nav__name" href="/">beck andersen</a>
-    <button class="site-nav__toggle" aria-expanded="false" aria-controls="nav-links" aria-label="Toggle navigation">
-      <span class="site-nav__toggle-icon"></span>
-    </button>
-    <div class="site-nav__links" id="nav-links">
-      <a href="/" class="active">work</a>
-      <a href="/gallery.html">gallery</a>
-      <a href="/point-clouds.html">point clouds</a>
-      <a href="/about.html">about</a>
-    </div>
-  </nav>
-
-  <main class="project-page">
-    <header class="project-page__header">
-      <h1>${title}</h1>
-      <p class="project-page__meta">${year} | ${medium}</p>
-    </header>
-
-    <div class="project-page__description">
-      <p>${description}</p>
-    </div>
-
-    <div class="project-page__images">
-${imageContainers}
-    </div>
-
-    <nav class="project-page__nav" aria-label="Project navigation"${prevData}${nextData}>
-${prevLink}
-${nextLink}
-    </nav>
-  </main>
-
-  <footer class="site-footer">
-    <div class="site-footer__links">
-      <a href="mailto:contact@beckandersen.com">email</a>
-      <a href="https://instagram.com/beckandersen" target="_blank" rel="noopener noreferrer">instagram</a>
-    </div>
-    <p>&copy; 2025 Beck Andersen</p>
-  </footer>
-
-  <script>
-    document.querySelector('.site-nav__toggle')?.addEventListener('click', function() {
-      const expanded = this.getAttribute('aria-expanded') === 'true';
-      this.setAttribute('aria-expanded', !expanded);
-      document.getElementById('nav-links').classList.toggle('is-open');
+async function readAllImageDetails(images) {
+  const results = [];
+  for (const [i, img] of images.entries()) {
+    const key = img.src.replace(/^\//, '');
+    try {
+      const details = await readImageDetails(key);
+      console.log(`  [${i + 1}/${images.length}] ${key}: ${details.width}×${details.height} ${details.dominantColor}`);
+      results.push(details);
+    } catch (err) {
+      console.error(`  [${i + 1}/${images.length}] ERROR: ${key}: ${err.message}`);
+      results.push(null);
+    }
+  }
+  return results;
+}
+
+/**
+ * Re-read image details from R2 for existing projects and rebuild the site.
+ */
+async function backfillImageMetadata(slug) {
+  console.log('=== Backfill Image Metadata ===\n');
+
+  const projects = await readProjects();
+  const targets = slug ? [findProject(projects, slug)] : projects;
+
+  if (targets.includes(null)) {
+    throw new Error(`No project with slug "${slug}" in data/projects.json`);
+  }
+
+  let updated = 0;
+  for (const project of targets) {
+    console.log(`${project.slug} (${project.images.length} images)`);
+    const details = await readAllImageDetails(project.images);
+    project.images.forEach((img, i) => {
+      if (!details[i]) return;
+      Object.assign(img, details[i]);
+      updated++;
     });
-  </script>
-  <script type="module" src="/js/image-loader.js"></script>
-  <script type="module" src="/js/project-template.js"></script>
-</body>
-</html>
-`;
+  }
+
+  console.log('');
+  await applyProjectChanges(projects);
+
+  console.log(`\nImages updated: ${updated}`);
 }
 
 /**
- * Main entry point.
+ * Fetch the image the provider looks at: the 800px thumbnail when it exists,
+ * otherwise the original scaled down to the same width.
  */
-async function main() {
-  const prompt = createPrompt();
+async function fetchPreview(src) {
+  const key = src.replace(/^\//, '');
+  try {
+    return await fetchObject(toThumbKey(key));
+  } catch {
+    return sharp(await fetchObject(key))
+      .rotate()
+      .resize(PREVIEW_WIDTH, null, { withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  }
+}
 
-  console.log('=== Add New Project ===\n');
+/**
+ * Show a proposal and loop until it is accepted or skipped. Returns the
+ * final { alt, caption }, or null to leave the image unchanged.
+ */
+async function reviewImageText(prompt, proposal, regenerate) {
+  let current = proposal;
+
+  for (;;) {
+    console.log(`    alt:     ${current.alt}`);
+    console.log(`    caption: ${current.caption}`);
+    const choice = (await prompt.ask('    Accept (y), edit alt (a), edit caption (c), regenerate (r), skip (s)? ')).toLowerCase();
+
+    if (choice === 'y' || choice === '') return current;
+    if (choice === 's') return null;
+    if (choice === 'a') {
+      current = { ...current, alt: await prompt.ask('    Alt text: ') || current.alt };
+    } else if (choice === 'c') {
+      current = { ...current, caption: await prompt.ask('    Caption: ') || current.caption };
+    } else if (choice === 'r') {
+      current = await regenerate();
+    }
+  }
+}
 
-  // Gather project details
-  const slug = await prompt.ask('Project slug (e.g., new-work): ');
-  const title = await prompt.ask('Project title: ');
-  const year = await prompt.ask('Year: ');
-  const medium = await prompt.ask('Medium/materials: ');
-
-  // Description
-  const descChoice = await prompt.ask('Write description yourself (w) or generate with AI (g)? ');
-
-  let description;
-  if (descChoice.toLowerCase() === 'g') {
-    const notes = await prompt.ask('Rough notes about the project (informal is fine): ');
-    console.log('\nGenerating description with Claude...');
-    description = await generateDescription(title, year, medium, notes);
-    console.log(`\nGenerated description:\n"${description}"\n`);
-    const accept = await prompt.ask('Accept this description? (y/n): ');
-    if (accept.toLowerCase() !== 'y') {
-      description = await prompt.ask('Enter your description: ');
+/**
+ * Propose alt text and captions for a project's images with `describer`
+ * and store them on each image. With `review`, every proposal goes through the accept/edit
+ * loop; otherwise proposals are accepted as-is. Images that fail keep
+ * whatever text they already had. Returns the number of images updated.
+ */
+async function describeImages(describer, project, images, { review = false } = {}) {
+  const prompt = review ? createPrompt() : null;
+  let updated = 0;
+
+  try {
+    for (const [i, img] of images.entries()) {
+      console.log(`  [${i + 1}/${images.length}] ${img.src}`);
+      try {
+        const preview = await fetchPreview(img.src);
+        // Alt text someone has already written is kept; only the caption is proposed
+        const ownAlt = hasOwnAlt(project, img) ? img.alt : null;
+        const propose = async () => {
+          const proposal = await describer.describeImage(preview, project, img);
+          return ownAlt ? { ...proposal, alt: ownAlt } : proposal;
+        };
+        const result = review
+          ? await reviewImageText(prompt, await propose(), propose)
+          : await propose();
+
+        if (!result) continue;
+        if (!review) {
+          console.log(`    alt:     ${result.alt}`);
+          console.log(`    caption: ${result.caption}`);
+        }
+        img.alt = result.alt;
+        img.caption = result.caption;
+        updated++;
+      } catch (err) {
+        console.error(`    ERROR: ${err.message}`);
+      }
     }
-  } else {
-    description = await prompt.ask('Enter project description: ');
+  } finally {
+    prompt?.close();
+  }
+
+  return updated;
+}
+
+/**
+ * Whether an image has alt text of its own rather than none or just the
+ * project title.
+ */
+function hasOwnAlt(project, img) {
+  return Boolean(img.alt) && img.alt !== project.title;
+}
+
+/**
+ * Images missing their own alt text or a caption.
+ */
+function needsDescription(project, img) {
+  return !hasOwnAlt(project, img) || !img.caption;
+}
+
+/**
+ * Propose alt text and captions for existing projects' undescribed images
+ * and rebuild the site.
+ */
+async function describeExistingProjects(describer, slug, { yes = false, dryRun = false } = {}) {
+  console.log('=== Describe Images ===\n');
+
+  const projects = await readProjects();
+  const targets = slug ? [findProject(projects, slug)] : projects;
+
+  if (targets.includes(null)) {
+    throw new Error(`No project with slug "${slug}" in data/projects.json`);
+  }
+
+  let updated = 0;
+  for (const project of targets) {
+    const images = project.images.filter(img => needsDescription(project, img));
+    if (images.length === 0) continue;
+    console.log(`${project.slug} (${images.length} of ${project.images.length} images)`);
+    updated += await describeImages(describer, project, images, { review: !yes });
+  }
+
+  console.log('');
+  await applyProjectChanges(projects, { dryRun });
+
+  console.log(`\nImages described: ${updated}`);
+}
+
+/**
+ * Reject a slug that is missing, malformed or already taken.
+ */
+function assertNewSlug(projects, slug) {
+  if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(slug || '')) {
+    throw new Error(`Invalid slug "${slug || ''}" (use lowercase words separated by hyphens)`);
+  }
+  if (findProject(projects, slug)) {
+    throw new Error(`A project with slug "${slug}" already exists in data/projects.json`);
+  }
+}
+
+/**
+ * Split a tag list given as an array or a comma-separated string.
+ */
+function parseTags(tags) {
+  if (Array.isArray(tags)) return tags.map(String);
+  return (tags || '').split(',').map(t => t.trim()).filter(Boolean);
+}
+
+/**
+ * Load a project manifest. Files ending in .json are parsed as JSON,
+ * everything else as YAML (a superset of JSON).
+ */
+async function readManifest(path) {
+  const text = await readFile(path, 'utf-8');
+  const manifest = extname(path) === '.json' ? JSON.parse(text) : parseYaml(text);
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(`${path} must contain a single project mapping`);
+  }
+  return manifest;
+}
+
+/**
+ * Print numbered description variants.
+ */
+function printVariants(variants) {
+  console.log('');
+  variants.forEach((v, i) => console.log(`  [${i + 1}] ${v}\n`));
+}
+
+/**
+ * Generate description variants and let the user pick one, merge several
+ * (e.g. "1+3") or regenerate, then refine the pick with follow-up
+ * instructions ("shorter", "mention the lightboxes") until accepted.
+ * Returns { description, source } where source is the provider name, or
+ * 'manual' when the final text was typed or edited by hand.
+ */
+async function chooseDescription(prompt, describer, details) {
+  let variants = [];
+  let draft = null;
+
+  for (;;) {
+    if (draft === null) {
+      if (variants.length === 0) {
+        console.log(`\nGenerating ${DESCRIPTION_VARIANTS} descriptions (${describer.name})...`);
+        variants = await describer.describeProject(details, { count: DESCRIPTION_VARIANTS });
+      }
+      printVariants(variants);
+
+      const choice = await prompt.ask(`Pick one (1-${variants.length}), merge (e.g. 1+3), regenerate (g) or write your own (w): `);
+      const picks = choice.split('+').map(n => variants[Number(n) - 1]);
+
+      if (choice.toLowerCase() === 'g') {
+        variants = [];
+      } else if (choice.toLowerCase() === 'w') {
+        return { description: await askDescription(prompt, 'Enter your description: '), source: 'manual' };
+      } else if (picks.length > 1 && picks.every(Boolean)) {
+        console.log('\nMerging...');
+        [draft] = await describer.describeProject(details, { drafts: picks, instruction: MERGE_INSTRUCTION });
+      } else if (picks.length === 1 && picks[0]) {
+        draft = picks[0];
+      }
+      continue;
+    }
+
+    console.log(`\nDescription:\n"${draft}"\n`);
+    const answer = await prompt.ask('Accept (y), edit by hand (e), back to the variants (b), or type an instruction to revise: ');
+
+    if (answer.toLowerCase() === 'y') {
+      return { description: draft, source: describer.name };
+    } else if (answer.toLowerCase() === 'e') {
+      const edited = await prompt.ask('Enter your description: ');
+      return edited ? { description: edited, source: 'manual' } : { description: draft, source: describer.name };
+    } else if (answer.toLowerCase() === 'b') {
+      draft = null;
+    } else if (answer) {
+      console.log('\nRevising...');
+      [draft] = await describer.describeProject(details, { drafts: [draft], instruction: answer });
+    }
+  }
+}
+
+/**
+ * Ask for a description typed by hand until one is given.
+ */
+async function askDescription(prompt, question) {
+  for (;;) {
+    const description = await prompt.ask(question);
+    if (description) return description;
+    console.log('The description cannot be empty.');
+  }
+}
+
+/**
+ * Ask for project details on the terminal.
+ */
+async function promptForDetails(projects, describer) {
+  const prompt = createPrompt();
+
+  try {
+    // Reject duplicate slugs before asking anything else
+    const slug = await prompt.ask('Project slug (e.g., new-work): ');
+    assertNewSlug(projects, slug);
+
+    const title = await prompt.ask('Project title: ');
+    const year = await prompt.ask('Year: ');
+    const medium = await prompt.ask('Medium/materials: ');
+    const from = await prompt.ask('Local folder of images to upload (Enter if already in R2): ');
+
+    // Description
+    const descChoice = await prompt.ask('Write description yourself (w) or generate with AI (g)? ');
+
+    let description;
+    let descriptionSource = 'manual';
+    if (descChoice.toLowerCase() === 'g') {
+      const notes = await prompt.ask('Rough notes about the project (informal is fine): ');
+      ({ description, source: descriptionSource } = await chooseDescription(
+        prompt, describer, { title, year, medium, notes },
+      ));
+    } else {
+      description = await askDescription(prompt, 'Enter project description: ');
+    }
+
+    const describe = describer.describesImages
+      ? await prompt.ask('Generate alt text and captions for each image with AI? (y/n): ')
+      : 'n';
+
+    return {
+      slug, title, year, medium, description, descriptionSource, tags: [], sections: [],
+      from: from || undefined,
+      describeImages: describe.toLowerCase() === 'y',
+    };
+  } finally {
+    prompt.close();
+  }
+}
+
+/**
+ * Collect project details from a manifest and command-line flags without
+ * prompting. Flags override manifest values. When there is no description,
+ * one is generated from `notes` by `describer` (the `none` provider uses
+ * the notes as written).
+ */
+async function detailsFromOptions(projects, options, describer) {
+  const manifest = options.manifest ? await readManifest(options.manifest) : {};
+  const pick = key => options[key] ?? (manifest[key] != null ? String(manifest[key]) : undefined);
+
+  const details = {
+    slug: pick('slug'),
+    title: pick('title'),
+    year: pick('year'),
+    medium: pick('medium'),
+    description: pick('description'),
+    tags: parseTags(options.tags ?? manifest.tags),
+    sections: manifest.sections || [],
+    from: pick('from'),
+    descriptionSource: 'manual',
+    describeImages: describer.describesImages,
+  };
+  const notes = pick('notes');
+
+  assertNewSlug(projects, details.slug);
+
+  const missing = ['title', 'year', 'medium'].filter(key => !details[key]);
+  if (!details.description && !notes) missing.push('description (or notes)');
+  if (missing.length > 0) {
+    throw new Error(`Missing ${missing.join(', ')} — pass them as flags or in the manifest`);
+  }
+
+  if (!details.description) {
+    console.log(`Generating description (${describer.name})...`);
+    [details.description] = await describer.describeProject({ ...details, notes });
+    details.descriptionSource = describer.name;
+    console.log(`\nGenerated description:\n"${details.description}"\n`);
+  }
+
+  return details;
+}
+
+/**
+ * Upload local originals when `details.from` is set, find images in R2,
+ * add the project to projects.json and rebuild the site. With `dryRun`,
+ * print the upload plan and the changes as a diff instead of writing them.
+ */
+async function createProject(projects, details, describer, { dryRun = false, replace = false } = {}) {
+  const { slug, title } = details;
+
+  if (details.from) {
+    console.log('');
+    await uploadProjectImages(storage, slug, details.from, { replace, dryRun });
+    if (dryRun) console.log('(Dry run: nothing uploaded, so the diff below uses what is already in R2.)');
   }
 
   // Check for images in R2
-  console.log(`\nLooking for images in R2: projects/${slug}/full/`);
+  console.log(`\nLooking for images in ${storage.location}: projects/${slug}/full/`);
   const images = await listProjectImages(slug);
 
+  let imageDetails = [];
   if (images.length === 0) {
-    console.log('No images found in R2. The page will be created with placeholder structure.');
+    console.log('No images found. The page will be created with placeholder structure.');
     console.log('Upload images later to: projects/' + slug + '/full/');
   } else {
-    console.log(`Found ${images.length} images.`);
+    console.log(`Found ${images.length} images. Reading dimensions and colours...`);
+    imageDetails = await readAllImageDetails(images);
   }
 
   // Use placeholder images if none found
@@ -268,68 +559,51 @@ async function main() {
     { src: `/projects/${slug}/full/03.jpg`, thumb: `/projects/${slug}/thumb/03.jpg`, filename: '03.jpg' },
   ];
 
-  // Read existing projects.json
-  let projects;
-  try {
-    projects = JSON.parse(await readFile('data/projects.json', 'utf-8'));
-  } catch {
-    projects = [];
-  }
+  const cover = images.length > 0 ? images[0] : null;
 
-  // Determine prev/next
-  const lastProject = projects.length > 0 ? projects[projects.length - 1] : null;
-  const prev = lastProject ? lastProject.slug : null;
-
-  // Create new project entry
+  // Create new project entry (order, prev and next are set by linkProjects)
   const newProject = {
     id: slug,
     title,
-    year,
-    medium,
+    year: details.year,
+    medium: details.medium,
     slug,
-    coverImage: `/projects/${slug}/full/cover.jpg`,
-    thumbnailImage: `/projects/${slug}/thumb/cover.jpg`,
-    description,
-    images: projectImages.map(img => ({
+    coverImage: cover ? cover.src : `/projects/${slug}/full/cover.jpg`,
+    thumbnailImage: cover ? cover.thumb : `/projects/${slug}/thumb/cover.jpg`,
+    description: details.description,
+    descriptionHistory: [],
+    images: projectImages.map((img, i) => ({
       src: img.src,
       thumb: img.thumb,
       alt: title,
+      // Placeholders until the originals can be read (see --backfill)
       width: 1200,
       height: 900,
+      ...imageDetails[i],
     })),
-    tags: [],
+    sections: details.sections,
+    tags: details.tags,
     order: projects.length,
-    prev,
+    prev: null,
     next: null,
   };
 
-  // Update the previous last project to point to this one
-  if (lastProject) {
-    lastProject.next = slug;
+  recordDescription(newProject, details.description, details.descriptionSource);
+
+  if (images.length > 0 && details.describeImages) {
+    console.log(`\nDescribing images (${describer.name})...`);
+    await describeImages(describer, newProject, newProject.images, { review: details.reviewImages });
   }
 
   projects.push(newProject);
+  linkProjects(projects);
 
-  // Generate HTML
-  const html = generateProjectHTML({
-    slug,
-    title,
-    year,
-    medium,
-    description,
-    images: projectImages,
-    prev,
-    next: null,
-  });
-
-  // Write files
-  await mkdir('projects', { recursive: true });
   const htmlPath = `projects/${slug}.html`;
-  await writeFile(htmlPath, html);
-  console.log(`\nCreated: ${htmlPath}`);
 
-  await writeFile('data/projects.json', JSON.stringify(projects, null, 2));
-  console.log('Updated: data/projects.json');
+  // Regenerate the new page, the previous last page, index.html and sitemap.xml
+  console.log('');
+  await applyProjectChanges(projects, { dryRun });
+  if (dryRun) return;
 
   // Summary
   console.log('\n=== Done ===');
@@ -339,11 +613,63 @@ async function main() {
   if (images.length === 0) {
     console.log('  1. Upload images to R2: projects/' + slug + '/full/');
   }
-  console.log('  2. Run thumbnail generation: npm run generate-thumbnails -- --project ' + slug);
-  console.log('  3. Add a project card to index.html');
-  console.log('  4. Review and commit changes');
+  console.log(details.from
+    ? '  2. Generate responsive sizes: npm run generate-thumbnails -- --project ' + slug
+    : '  2. Generate thumbnails and responsive sizes: npm run generate-thumbnails -- --project ' + slug);
+  console.log('  3. Review and commit changes');
+}
 
-  prompt.close();
+/**
+ * Main entry point.
+ */
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: CLI_OPTIONS,
+    allowPositionals: true,
+  });
+
+  if (options.backfill) {
+    await backfillImageMetadata(positionals[0] || null);
+    return;
+  }
+
+  const describer = await createDescriber({
+    provider: options['no-ai'] ? 'none' : options.provider,
+    model: options.model,
+    fixture: options.fixture,
+  });
+
+  if (options.describe) {
+    if (!describer.describesImages) {
+      throw new Error(`The "${describer.name}" provider cannot describe images`);
+    }
+    await describeExistingProjects(describer, positionals[0] || null, {
+      yes: options.yes,
+      dryRun: options['dry-run'],
+    });
+    return;
+  }
+
+  console.log('=== Add New Project ===\n');
+
+  // Read existing projects.json
+  let projects;
+  try {
+    projects = await readProjects();
+  } catch {
+    projects = [];
+  }
+
+  const interactive = !options.manifest && !options.slug;
+  const details = interactive
+    ? await promptForDetails(projects, describer)
+    : await detailsFromOptions(projects, options, describer);
+  details.reviewImages = interactive;
+
+  await createProject(projects, details, describer, {
+    dryRun: options['dry-run'],
+    replace: options.replace,
+  });
 }
 
 main().catch((err) => {
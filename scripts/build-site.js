@@ -0,0 +1,54 @@
+/**
+ * Build Site
+ *
+ * Regenerates every project page, the home page project cards and
+ * sitemap.xml from data/projects.json. Project order comes from each
+ * entry's `order` field; prev/next links are rewired to match.
+ *
+ * Usage:
+ *   node scripts/build-site.js
+ */
+
+import 'dotenv/config';
+import { readFile } from 'fs/promises';
+import {
+  PROJECTS_PATH,
+  readProjects,
+  linkProjects,
+  formatProjects,
+  writeProjects,
+} from './lib/projects.js';
+import { buildSite, findOrphanPages } from './lib/build.js';
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  console.log('=== Build Site ===\n');
+
+  const projects = linkProjects(await readProjects());
+
+  // Keep order and prev/next in the data file consistent with the build
+  const current = await readFile(PROJECTS_PATH, 'utf-8');
+  if (formatProjects(projects) !== current) {
+    await writeProjects(projects);
+    console.log(`Updated: ${PROJECTS_PATH} (order / prev / next)`);
+  }
+
+  const { written, unchanged } = await buildSite(projects);
+
+  written.forEach(path => console.log(`Wrote: ${path}`));
+
+  const orphans = await findOrphanPages(projects);
+  orphans.forEach(path => console.log(`WARN: ${path} has no entry in ${PROJECTS_PATH}`));
+
+  console.log('\n=== Summary ===');
+  console.log(`  Projects:  ${projects.length}`);
+  console.log(`  Written:   ${written.length}`);
+  console.log(`  Unchanged: ${unchanged.length}`);
+}
+
+main().catch((err) => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,173 @@
+/**
+ * Edit Project
+ *
+ * Updates a project's details in data/projects.json and rebuilds the site.
+ * With no field flags, prompts for each field showing the current value
+ * (press Enter to keep it).
+ *
+ * Every accepted description is kept in the project's `descriptionHistory`;
+ * --history lists it and --restore <n> brings entry n back.
+ *
+ * Usage:
+ *   node scripts/edit-project.js <slug>
+ *   node scripts/edit-project.js <slug> [--title ...] [--year ...] [--medium ...]
+ *     [--description ...] [--tags a,b] [--cover <filename>] [--dry-run]
+ *   node scripts/edit-project.js <slug> --history
+ *   node scripts/edit-project.js <slug> --restore <n> [--dry-run]
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { readProjects, linkProjects, findProject, recordDescription } from './lib/projects.js';
+import { applyProjectChanges } from './lib/build.js';
+import { createPrompt } from './lib/prompt.js';
+
+const TEXT_FIELDS = ['title', 'year', 'medium', 'description'];
+
+/**
+ * Prompt for each editable field, keeping the current value on Enter.
+ */
+async function promptForEdits(project) {
+  const prompt = createPrompt();
+  const edits = {};
+
+  try {
+    for (const field of TEXT_FIELDS) {
+      const answer = await prompt.ask(`${field} [${project[field]}]: `);
+      if (answer) edits[field] = answer;
+    }
+    const tags = await prompt.ask(`tags [${project.tags.join(', ')}]: `);
+    if (tags) edits.tags = tags;
+    const cover = await prompt.ask(`cover [${project.coverImage.split('/').pop()}]: `);
+    if (cover) edits.cover = cover;
+  } finally {
+    prompt.close();
+  }
+
+  return edits;
+}
+
+/**
+ * Apply edits to a project record in place.
+ */
+function applyEdits(project, edits) {
+  for (const field of TEXT_FIELDS) {
+    if (field === 'description' || edits[field] === undefined) continue;
+    project[field] = edits[field];
+  }
+
+  if (edits.description !== undefined) {
+    recordDescription(project, edits.description, edits.descriptionSource || 'manual');
+  }
+
+  if (edits.tags !== undefined) {
+    project.tags = edits.tags.split(',').map(t => t.trim()).filter(Boolean);
+  }
+
+  if (edits.cover !== undefined) {
+    const cover = project.images.find(img => img.src.split('/').pop() === edits.cover);
+    if (!cover) {
+      throw new Error(`${project.slug} has no image named "${edits.cover}"`);
+    }
+    project.coverImage = cover.src;
+    project.thumbnailImage = cover.thumb;
+  }
+}
+
+/**
+ * Print a project's description history, oldest first.
+ */
+function printHistory(project) {
+  const history = project.descriptionHistory || [];
+  if (history.length === 0) {
+    console.log('No description history yet.');
+    return;
+  }
+  history.forEach((entry, i) => {
+    const when = entry.accepted ? entry.accepted.slice(0, 10) : 'unknown date';
+    const current = entry.description === project.description ? ' (current)' : '';
+    console.log(`[${i + 1}] ${when}, ${entry.source}${current}`);
+    console.log(`    ${entry.description}\n`);
+  });
+}
+
+/**
+ * Edits that restore history entry `n` (1-based).
+ */
+function restoreEdits(project, n) {
+  const entry = (project.descriptionHistory || [])[Number(n) - 1];
+  if (!entry) {
+    throw new Error(`${project.slug} has no description history entry ${n} (see --history)`);
+  }
+  return { description: entry.description, descriptionSource: 'restored' };
+}
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: {
+      title: { type: 'string' },
+      year: { type: 'string' },
+      medium: { type: 'string' },
+      description: { type: 'string' },
+      tags: { type: 'string' },
+      cover: { type: 'string' },
+      history: { type: 'boolean' },
+      restore: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+
+  const slug = positionals[0];
+  if (!slug) {
+    console.log('Usage:');
+    console.log('  node scripts/edit-project.js <slug> [--title ...] [--year ...] [--medium ...]');
+    console.log('    [--description ...] [--tags a,b] [--cover <filename>] [--dry-run]');
+    console.log('  node scripts/edit-project.js <slug> --history');
+    console.log('  node scripts/edit-project.js <slug> --restore <n> [--dry-run]');
+    process.exit(1);
+  }
+
+  const projects = await readProjects();
+  const project = findProject(projects, slug);
+  if (!project) {
+    throw new Error(`No project with slug "${slug}" in data/projects.json`);
+  }
+
+  console.log(`=== Edit Project: ${slug} ===\n`);
+
+  if (options.history) {
+    printHistory(project);
+    return;
+  }
+
+  const { 'dry-run': dryRun, restore, ...fieldFlags } = options;
+  let edits;
+  if (restore !== undefined) {
+    edits = restoreEdits(project, restore);
+  } else if (Object.keys(fieldFlags).length > 0) {
+    edits = fieldFlags;
+  } else {
+    edits = await promptForEdits(project);
+  }
+
+  if (Object.keys(edits).length === 0) {
+    console.log('Nothing to change.');
+    return;
+  }
+
+  applyEdits(project, edits);
+  linkProjects(projects);
+
+  // Titles appear on neighbouring pages' nav links and the home page too
+  console.log('');
+  await applyProjectChanges(projects, { dryRun });
+}
+
+main().catch((err) => {
+  console.error('Error:', err);
+  process.exit(1);
+});
@@ -3,201 +3,416 @@
  *
  * Reads images from Cloudflare R2 and generates thumbnails using sharp.
  *
+ * Project images also get a ladder of responsive variants (widths × AVIF,
+ * WebP and JPEG) under projects/<slug>/sizes/. The widths and formats made
+ * for each image are recorded in data/projects.json and the pages are
+ * rebuilt, so they serve srcset/<picture> instead of the originals.
+ * Each project image also gets a tiny base64 `placeholder` in
+ * projects.json, which the pages embed in place of fetching the thumbnail.
+ *
+ * Change detection: every root (projects/<slug>/, gallery/) keeps a
+ * manifest.json in R2 that maps each original's ETag, size and width, and
+ * the settings used, to the derivatives made from it. Re-runs regenerate only
+ * what is missing or out of date — everything for a replaced original,
+ * the affected derivatives when settings change — and delete thumbs and
+ * variants whose original was removed, or that a changed original no longer
+ * needs (a smaller replacement gets a shorter ladder).
+ *
+ * Images are processed by a bounded pool of workers. Originals are streamed
+ * to a temporary file instead of being held in memory, R2 requests are
+ * retried with backoff, and each finished image is saved to a checkpoint
+ * file so an interrupted run resumes where it stopped. On a terminal a live
+ * progress line shows throughput and ETA.
+ *
  * Usage:
  *   node scripts/generate-thumbnails.js --project as-light-turns-into-day
  *   node scripts/generate-thumbnails.js --all
  *   node scripts/generate-thumbnails.js --gallery
+ *
+ * Options:
+ *   --force                           regenerate everything, ignoring the manifest
+ *   --concurrency 4                   images processed at once
+ *   --widths 400,800,1600,2400,3200   variant widths (projects only)
+ *   --formats avif,webp,jpeg          variant formats (projects only)
  */
 
 import 'dotenv/config';
-import { readFile } from 'fs/promises';
-import sharp from 'sharp';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  CACHE_CONTROL,
+  generateThumbnail,
+  generateVariants,
+  generatePlaceholder,
+  derivativeSettings,
+  toThumbKey,
+} from './lib/thumbnails.js';
 import {
-  S3Client,
-  ListObjectsV2Command,
-  GetObjectCommand,
-  PutObjectCommand,
-  HeadObjectCommand,
-} from '@aws-sdk/client-s3';
-
-// Configuration
-const THUMB_WIDTH = 800;
-const THUMB_QUALITY = 80;
-const THUMB_FORMAT = 'jpeg';
-
-// R2 client
-const s3 = new S3Client({
-  region: 'auto',
-  endpoint: process.env.R2_ENDPOINT,
-  credentials: {
-    accessKeyId: process.env.R2_ACCESS_KEY_ID,
-    secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
+  DEFAULT_WIDTHS,
+  DEFAULT_FORMATS,
+  FORMAT_TYPES,
+  ladderFor,
+  variantPath,
+  parseWidths,
+  parseFormats,
+} from './lib/variants.js';
+import { readHeaderMetadata } from './lib/image-metadata.js';
+import { readProjects, findProject } from './lib/projects.js';
+import { applyProjectChanges } from './lib/build.js';
+import { runPool } from './lib/pool.js';
+import { createProgress } from './lib/progress.js';
+import { openCheckpoint } from './lib/checkpoint.js';
+import { createStorage } from './lib/storage.js';
+
+// Derivatives manifest, one per root: projects/<slug>/manifest.json, gallery/manifest.json
+const MANIFEST_NAME = 'manifest.json';
+const MANIFEST_VERSION = 1;
+
+// Resume state for an interrupted run, removed once a run finishes cleanly
+const CHECKPOINT_FILE = '.generate-thumbnails-checkpoint.json';
+
+const DEFAULT_CONCURRENCY = 4;
+
+// Progress line of the prefix being processed; logging goes through it
+let progress = null;
+
+/**
+ * Print a line, above the progress line while one is showing.
+ */
+function log(message) {
+  if (progress) progress.log(message);
+  else console.log(message);
+}
+
+// R2 (or local directory) storage, retrying failed requests with backoff
+const storage = createStorage(undefined, {
+  onRetry: (err, attempt, delay) => {
+    log(`  RETRY: ${err.name || err.code}: ${err.message} (attempt ${attempt}, waiting ${delay}ms)`);
   },
 });
 
-const BUCKET = process.env.R2_BUCKET;
+/**
+ * Upload a derivative.
+ */
+async function uploadObject(key, buffer, contentType) {
+  await storage.put(key, buffer, { contentType, cacheControl: CACHE_CONTROL });
+}
 
 /**
- * Check if an object exists in R2.
+ * Read the manifest under a root (projects/<slug>/ or gallery/), or start
+ * an empty one if none has been written yet.
  */
-async function objectExists(key) {
+async function readManifest(root) {
   try {
-    await s3.send(new HeadObjectCommand({ Bucket: BUCKET, Key: key }));
-    return true;
-  } catch {
-    return false;
+    return JSON.parse((await storage.get(`${root}${MANIFEST_NAME}`)).toString('utf-8'));
+  } catch (err) {
+    if (err.name === 'NoSuchKey') return { version: MANIFEST_VERSION, images: {} };
+    throw err;
   }
 }
 
 /**
- * List all objects under a given prefix.
+ * Write a manifest back to R2. Unlike images it changes in place, so it
+ * must not be cached.
  */
-async function listObjects(prefix) {
-  const objects = [];
-  let continuationToken;
-
-  do {
-    const command = new ListObjectsV2Command({
-      Bucket: BUCKET,
-      Prefix: prefix,
-      ContinuationToken: continuationToken,
-    });
-    const response = await s3.send(command);
-
-    if (response.Contents) {
-      objects.push(...response.Contents);
-    }
-    continuationToken = response.NextContinuationToken;
-  } while (continuationToken);
-
-  return objects;
+async function writeManifest(root, manifest) {
+  await storage.put(`${root}${MANIFEST_NAME}`, JSON.stringify(manifest, null, 2) + '\n', {
+    contentType: 'application/json',
+    cacheControl: 'no-cache',
+  });
 }
 
 /**
- * Download an object from R2 as a Buffer.
+ * Check if a file is an image based on its extension.
  */
-async function downloadObject(key) {
-  const command = new GetObjectCommand({ Bucket: BUCKET, Key: key });
-  const response = await s3.send(command);
-  const chunks = [];
-  for await (const chunk of response.Body) {
-    chunks.push(chunk);
-  }
-  return Buffer.concat(chunks);
+function isImage(key) {
+  return /\.(jpe?g|png|webp|tiff?)$/i.test(key);
 }
 
 /**
- * Upload a buffer to R2.
+ * Name of the original a key belongs to: full/01.jpg, thumb/01.jpg and
+ * sizes/01-800.webp all belong to "01".
  */
-async function uploadObject(key, buffer, contentType) {
-  await s3.send(new PutObjectCommand({
-    Bucket: BUCKET,
-    Key: key,
-    Body: buffer,
-    ContentType: contentType,
-    CacheControl: 'public, max-age=31536000, immutable',
-  }));
+function originalName(key) {
+  const name = key.split('/').pop().replace(/\.[^.]+$/, '');
+  return key.includes('/sizes/') ? name.replace(/-\d+$/, '') : name;
 }
 
 /**
- * Generate a thumbnail from an image buffer.
+ * Work out which derivatives of an original need (re)generating.
+ *
+ * `entry` is the original's manifest entry and `derived` maps the keys
+ * already under thumb/ and sizes/ to their listings. An original whose ETag
+ * or size no longer matches its entry (or any original, with `force`) is
+ * regenerated in full; changed settings redo the derivatives they apply
+ * to. Originals with no entry yet adopt derivatives written after them.
+ *
+ * The ladder is cut at the original's own width, never the one in
+ * projects.json, which may still be a placeholder: the manifest's while the
+ * original is unchanged, or `width` once the original has been read.
+ * Without either, `measure` is set and the ladder is left empty.
+ *
+ * Returns { changed, measure, width, thumb, widths, missing, formats } where
+ * `widths` is the image's full ladder and `missing` the widths to encode.
  */
-async function generateThumbnail(inputBuffer) {
-  return sharp(inputBuffer)
-    .resize(THUMB_WIDTH, null, { withoutEnlargement: true })
-    .jpeg({ quality: THUMB_QUALITY, progressive: true })
-    .toBuffer();
+function planDerivatives(obj, entry, derived, { record, variants, force, width = null }) {
+  const formats = record && variants ? variants.formats : [];
+  const settings = derivativeSettings(formats);
+  const changed = force || Boolean(entry && (entry.etag !== obj.etag || entry.size !== obj.size));
+
+  const current = key => {
+    if (changed || !derived.has(key)) return false;
+    return entry
+      ? entry.derivatives.includes(key)
+      : derived.get(key).lastModified >= obj.lastModified;
+  };
+  const restyled = name => Boolean(entry?.settings[name])
+    && JSON.stringify(entry.settings[name]) !== JSON.stringify(settings[name]);
+
+  const originalWidth = width || (changed ? null : entry?.width) || null;
+  const widths = formats.length > 0 && originalWidth ? ladderFor(variants.widths, originalWidth) : [];
+  const missing = formats.some(restyled)
+    ? widths
+    : widths.filter(width => formats.some(format => !current(variantPath(record.src, width, format).slice(1))));
+
+  return {
+    changed,
+    measure: formats.length > 0 && !originalWidth,
+    width: formats.length > 0 ? originalWidth : null,
+    thumb: !current(toThumbKey(obj.key)) || restyled('thumb'),
+    widths,
+    missing,
+    formats,
+  };
 }
 
 /**
- * Check if a file is an image based on its extension.
+ * Record an original's new manifest entry, adding the derivatives its
+ * previous entry listed but the new one does not to `stale`.
  */
-function isImage(key) {
-  return /\.(jpe?g|png|webp|tiff?)$/i.test(key);
+function replaceEntry(manifest, key, entry, { derived, stale }) {
+  const previous = manifest.images[key];
+  previous?.derivatives
+    .filter(derivative => derived.has(derivative) && !entry.derivatives.includes(derivative))
+    .forEach(derivative => stale.add(derivative));
+  manifest.images[key] = entry;
 }
 
 /**
- * Convert a full image path to its thumbnail path.
- * projects/slug/full/01.jpg -> projects/slug/thumb/01.jpg
- * gallery/full/001.jpg -> gallery/thumb/001.jpg
+ * Apply generated widths, formats and placeholder to a projects.json image
+ * record. Returns whether the record changed.
  */
-function toThumbKey(key) {
-  return key.replace('/full/', '/thumb/');
+function updateRecord(record, { widths, formats, placeholder }) {
+  const changed = JSON.stringify([record.widths, record.formats]) !== JSON.stringify([widths, formats]);
+  record.widths = widths;
+  record.formats = formats;
+  if (placeholder) record.placeholder = placeholder;
+  return changed || Boolean(placeholder);
 }
 
 /**
- * Process all images under a prefix.
+ * Bring one original's derivatives up to date. `context` carries the
+ * prefix-wide state: { records, variants, run, manifest, derived, stale,
+ * totals }. Returns the number of bytes downloaded.
  */
-async function processPrefix(prefix) {
-  console.log(`\nScanning: ${prefix}`);
-  const objects = await listObjects(prefix);
-  const images = objects.filter(obj => isImage(obj.Key));
-
-  if (images.length === 0) {
-    console.log('  No images found.');
-    return { processed: 0, skipped: 0, errors: 0 };
+async function processImage(obj, index, context) {
+  const { records, variants, run, manifest, derived, totals } = context;
+  const thumbKey = toThumbKey(obj.key);
+  const record = records?.get(`/${obj.key}`);
+
+  // Finished by an earlier, interrupted run
+  const saved = run.checkpoint.get(obj.key, obj.etag);
+  if (saved) {
+    replaceEntry(manifest, obj.key, saved.entry, context);
+    if (record && saved.record && updateRecord(record, saved.record)) totals.recorded++;
+    totals.resumed++;
+    return 0;
   }
 
-  console.log(`  Found ${images.length} images.`);
+  const previous = manifest.images[obj.key];
+  const options = { record, variants, force: run.force };
+  let plan = planDerivatives(obj, previous, derived, options);
+  const needsPlaceholder = Boolean(record) && (!record.placeholder || plan.changed);
+  let placeholder = null;
+  let bytes = 0;
 
-  let processed = 0;
-  let skipped = 0;
-  let errors = 0;
+  if (variants && !record) {
+    log(`  WARN: ${obj.key} is not in projects.json, no variants generated`);
+  }
 
-  for (const obj of images) {
-    const thumbKey = toThumbKey(obj.Key);
+  // Skip if the thumbnail, every variant and the placeholder are current
+  const upToDate = !plan.measure && !plan.thumb && plan.missing.length === 0 && !needsPlaceholder;
+  if (upToDate) {
+    log(`  SKIP: ${obj.key} (up to date)`);
+    totals.skipped++;
+  } else {
+    // Download original (the thumbnail is enough for a placeholder alone)
+    const source = plan.measure || plan.thumb || plan.missing.length > 0 ? obj.key : thumbKey;
+    const input = join(run.tmp, `${index}-${source.split('/').pop()}`);
 
-    // Skip if thumbnail already exists
-    if (await objectExists(thumbKey)) {
-      console.log(`  SKIP: ${thumbKey} (exists)`);
-      skipped++;
-      continue;
+    try {
+      bytes = await storage.download(source, input);
+
+      // The ladder needs the original's width, which only the file knows
+      if (plan.measure) {
+        const { width } = await readHeaderMetadata(input);
+        plan = planDerivatives(obj, previous, derived, { ...options, width });
+      }
+
+      if (plan.thumb) {
+        const thumbBuffer = await generateThumbnail(input);
+        await uploadObject(thumbKey, thumbBuffer, 'image/jpeg');
+
+        const originalKB = Math.round(obj.size / 1024);
+        const thumbKB = Math.round(thumbBuffer.length / 1024);
+        const note = plan.changed && !run.force ? ', original changed' : '';
+        log(`  DONE: ${thumbKey} (${originalKB}KB -> ${thumbKB}KB${note})`);
+      }
+
+      for await (const variant of generateVariants(input, plan.missing, plan.formats)) {
+        const key = variantPath(record.src, variant.width, variant.format).slice(1);
+        await uploadObject(key, variant.buffer, FORMAT_TYPES[variant.format]);
+        totals.variants++;
+      }
+      if (plan.missing.length > 0) {
+        log(`  DONE: ${obj.key} variants ${plan.missing.join('/')}w × ${plan.formats.join('/')}`);
+      }
+
+      if (needsPlaceholder) {
+        placeholder = await generatePlaceholder(input);
+        log(`  DONE: ${obj.key} placeholder (${placeholder.length} bytes)`);
+      }
+      totals.processed++;
+    } catch (err) {
+      progress.error(`  ERROR: ${obj.key}: ${err.message}`);
+      totals.errors++;
+      return bytes;
+    } finally {
+      await rm(input, { force: true });
     }
+  }
 
-    try {
-      // Download original
-      const imageBuffer = await downloadObject(obj.Key);
+  const entry = {
+    etag: obj.etag,
+    size: obj.size,
+    width: plan.width ?? undefined,
+    settings: derivativeSettings(plan.formats),
+    derivatives: [
+      thumbKey,
+      ...plan.widths.flatMap(width => plan.formats.map(format => variantPath(record.src, width, format).slice(1))),
+    ],
+  };
+  const update = record && variants ? { widths: plan.widths, formats: variants.formats, placeholder } : null;
+
+  replaceEntry(manifest, obj.key, entry, context);
+  if (update && updateRecord(record, update)) totals.recorded++;
+  if (!upToDate) {
+    await run.checkpoint.set(obj.key, obj.etag, { entry, record: update });
+  }
+  return bytes;
+}
 
-      // Generate thumbnail
-      const thumbBuffer = await generateThumbnail(imageBuffer);
+/**
+ * Process all images under a prefix. When `records` (image src -> image
+ * record from projects.json) and `variants` ({ widths, formats }) are given,
+ * responsive variants are generated too, and each record that ends up with
+ * a complete set is updated with its `widths` and `formats`. Records
+ * without a `placeholder`, or whose original changed, get a new one.
+ *
+ * `run` holds the options shared by every prefix:
+ * { force, concurrency, checkpoint, tmp }.
+ *
+ * Thumbs and variants whose original is gone, or that a changed original
+ * no longer needs, are deleted, and the manifest is written back when
+ * anything changed.
+ */
+async function processPrefix(prefix, { records = null, variants = null, run }) {
+  console.log(`\nScanning: ${prefix}`);
+  const root = prefix.replace(/full\/$/, '');
+  const objects = await storage.list(prefix);
+  const images = objects.filter(obj => isImage(obj.key));
+  const totals = { processed: 0, skipped: 0, resumed: 0, errors: 0, variants: 0, recorded: 0, orphans: 0, stale: 0 };
+
+  const manifest = await readManifest(root);
+  const before = JSON.stringify(manifest);
+  const derived = new Map([
+    ...await storage.list(`${root}thumb/`),
+    ...await storage.list(`${root}sizes/`),
+  ].map(obj => [obj.key, obj]));
+
+  console.log(images.length === 0 ? '  No images found.' : `  Found ${images.length} images.`);
+
+  const stale = new Set();
+  const context = { records, variants, run, manifest, derived, stale, totals };
+  progress = createProgress(images.length);
+  try {
+    await runPool(images, run.concurrency, async (obj, index) => {
+      progress.tick(await processImage(obj, index, context));
+    });
+  } finally {
+    const summary = progress.done();
+    progress = null;
+    if (images.length > 0) console.log(`  ${summary}`);
+  }
 
-      // Upload thumbnail
-      await uploadObject(thumbKey, thumbBuffer, 'image/jpeg');
+  // Remove derivatives (and manifest entries) whose original was deleted
+  const names = new Set(images.map(obj => originalName(obj.key)));
+  const listed = new Set(images.map(obj => obj.key));
+  const orphans = new Set([...derived.keys()].filter(key => !names.has(originalName(key))));
+  for (const [key, entry] of Object.entries(manifest.images)) {
+    if (listed.has(key)) continue;
+    entry.derivatives.filter(derivative => derived.has(derivative)).forEach(derivative => orphans.add(derivative));
+    delete manifest.images[key];
+  }
 
-      const originalKB = Math.round(obj.Size / 1024);
-      const thumbKB = Math.round(thumbBuffer.length / 1024);
-      console.log(`  DONE: ${thumbKey} (${originalKB}KB -> ${thumbKB}KB)`);
-      processed++;
-    } catch (err) {
-      console.error(`  ERROR: ${obj.Key}: ${err.message}`);
-      errors++;
-    }
+  if (orphans.size > 0) {
+    await storage.remove([...orphans]);
+    orphans.forEach(key => console.log(`  DELETED: ${key} (original removed)`));
+    totals.orphans = orphans.size;
+  }
+
+  // Remove derivatives dropped from a changed original's plan, unless
+  // another original still lists them
+  Object.values(manifest.images).forEach(entry => entry.derivatives.forEach(key => stale.delete(key)));
+  orphans.forEach(key => stale.delete(key));
+  if (stale.size > 0) {
+    await storage.remove([...stale]);
+    stale.forEach(key => console.log(`  DELETED: ${key} (no longer generated)`));
+    totals.stale = stale.size;
+  }
+
+  if (JSON.stringify(manifest) !== before) {
+    await writeManifest(root, manifest);
   }
 
-  return { processed, skipped, errors };
+  return totals;
 }
 
 /**
- * Process a single project.
+ * Process a single project, generating variants for the images listed
+ * in its projects.json record.
  */
-async function processProject(slug) {
-  const prefix = `projects/${slug}/full/`;
-  return processPrefix(prefix);
+async function processProject(project, variants, run) {
+  const records = new Map(project.images.map(img => [img.src, img]));
+  return processPrefix(`projects/${project.slug}/full/`, { records, variants, run });
 }
 
 /**
- * Process all projects from projects.json.
+ * Process the given projects and write any newly recorded variants back
+ * to projects.json (rebuilding the affected pages).
  */
-async function processAllProjects() {
-  const projectsJson = await readFile('data/projects.json', 'utf-8');
-  const projects = JSON.parse(projectsJson);
-  const totals = { processed: 0, skipped: 0, errors: 0 };
+async function processProjects(projects, targets, variants, run) {
+  const totals = { processed: 0, skipped: 0, resumed: 0, errors: 0, variants: 0, recorded: 0, orphans: 0, stale: 0 };
+
+  for (const project of targets) {
+    const result = await processProject(project, variants, run);
+    for (const key of Object.keys(totals)) totals[key] += result[key];
+  }
 
-  for (const project of projects) {
-    const result = await processProject(project.slug);
-    totals.processed += result.processed;
-    totals.skipped += result.skipped;
-    totals.errors += result.errors;
+  if (totals.recorded > 0) {
+    console.log('');
+    await applyProjectChanges(projects);
   }
 
   return totals;
@@ -206,9 +421,9 @@ async function processAllProjects() {
 /**
  * Process gallery images.
  */
-async function processGallery() {
+async function processGallery(run) {
   const prefix = 'gallery/full/';
-  return processPrefix(prefix);
+  return processPrefix(prefix, { run });
 }
 
 /**
@@ -219,34 +434,86 @@ async function main() {
   const projectFlag = args.indexOf('--project');
   const allFlag = args.includes('--all');
   const galleryFlag = args.includes('--gallery');
+  const force = args.includes('--force');
+  const valueOf = flag => (args.includes(flag) ? args[args.indexOf(flag) + 1] || '' : null);
+
+  const variants = {
+    widths: valueOf('--widths') !== null ? parseWidths(valueOf('--widths')) : DEFAULT_WIDTHS,
+    formats: valueOf('--formats') !== null ? parseFormats(valueOf('--formats')) : DEFAULT_FORMATS,
+  };
+  const concurrency = valueOf('--concurrency') !== null ? Number(valueOf('--concurrency')) : DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Invalid concurrency "${valueOf('--concurrency')}" (use a whole number, e.g. 4)`);
+  }
 
-  console.log('=== Thumbnail Generator ===');
-  console.log(`Bucket: ${BUCKET}`);
-
-  let totals;
-
-  if (projectFlag !== -1 && args[projectFlag + 1]) {
-    const slug = args[projectFlag + 1];
-    console.log(`Mode: Single project (${slug})`);
-    totals = await processProject(slug);
-  } else if (allFlag) {
-    console.log('Mode: All projects');
-    totals = await processAllProjects();
-  } else if (galleryFlag) {
-    console.log('Mode: Gallery');
-    totals = await processGallery();
-  } else {
+  const slug = projectFlag !== -1 ? args[projectFlag + 1] : null;
+  const mode = slug ? `project:${slug}` : allFlag ? 'all' : galleryFlag ? 'gallery' : null;
+  if (!mode) {
     console.log('Usage:');
     console.log('  node scripts/generate-thumbnails.js --project <slug>');
     console.log('  node scripts/generate-thumbnails.js --all');
     console.log('  node scripts/generate-thumbnails.js --gallery');
+    console.log('Options: --force --concurrency 4 --widths 400,800,1600,2400,3200 --formats avif,webp,jpeg');
     process.exit(1);
   }
 
+  console.log('=== Thumbnail Generator ===');
+  console.log(`Storage: ${storage.location}`);
+  console.log(`Concurrency: ${concurrency}`);
+  if (force) console.log('Force: regenerating everything');
+
+  const checkpoint = await openCheckpoint(CHECKPOINT_FILE, { mode, force, ...(galleryFlag ? {} : variants) });
+  if (checkpoint.resumed > 0) {
+    console.log(`Resuming: ${checkpoint.resumed} images finished by an earlier run (${CHECKPOINT_FILE})`);
+  }
+
+  const tmp = await mkdtemp(join(tmpdir(), 'generate-thumbnails-'));
+  const run = { force, concurrency, checkpoint, tmp };
+  let totals;
+
+  try {
+    if (slug) {
+      console.log(`Mode: Single project (${slug})`);
+      console.log(`Variants: ${variants.widths.join('/')}w × ${variants.formats.join('/')}`);
+      const projects = await readProjects();
+      const project = findProject(projects, slug);
+      if (!project) {
+        throw new Error(`No project with slug "${slug}" in data/projects.json`);
+      }
+      totals = await processProjects(projects, [project], variants, run);
+    } else if (allFlag) {
+      console.log('Mode: All projects');
+      console.log(`Variants: ${variants.widths.join('/')}w × ${variants.formats.join('/')}`);
+      const projects = await readProjects();
+      totals = await processProjects(projects, projects, variants, run);
+    } else {
+      console.log('Mode: Gallery');
+      totals = await processGallery(run);
+    }
+  } finally {
+    await rm(tmp, { recursive: true, force: true });
+  }
+
+  // Keep the checkpoint while anything failed, so a re-run retries only that
+  if (totals.errors === 0) await checkpoint.clear();
+
   console.log('\n=== Summary ===');
   console.log(`  Generated: ${totals.processed}`);
   console.log(`  Skipped:   ${totals.skipped}`);
+  if (totals.resumed > 0) {
+    console.log(`  Resumed:   ${totals.resumed}`);
+  }
   console.log(`  Errors:    ${totals.errors}`);
+  if (totals.variants > 0 || totals.recorded > 0) {
+    console.log(`  Variants:  ${totals.variants}`);
+    console.log(`  Recorded:  ${totals.recorded} images in projects.json`);
+  }
+  if (totals.orphans > 0) {
+    console.log(`  Orphans:   ${totals.orphans} removed`);
+  }
+  if (totals.stale > 0) {
+    console.log(`  Stale:     ${totals.stale} removed`);
+  }
 }
 
 main().catch((err) => {
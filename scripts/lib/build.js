@@ -0,0 +1,176 @@
+/**
+ * Site build — regenerate every file derived from data/projects.json.
+ *
+ * Outputs:
+ *   projects/<slug>.html  — one page per project
+ *   index.html            — project cards between the build-site markers
+ *   sitemap.xml           — static pages + every project
+ */
+
+import { readFile, writeFile, readdir, mkdir, unlink } from 'fs/promises';
+import { createTwoFilesPatch } from 'diff';
+import { renderProjectPage, renderProjectCards, renderSitemap } from './render.js';
+import { PROJECTS_PATH, validateSections, formatProjects } from './projects.js';
+
+const INDEX_PATH = 'index.html';
+const SITEMAP_PATH = 'sitemap.xml';
+const PROJECTS_DIR = 'projects';
+
+const CARDS_START = '<!-- build-site:projects -->';
+const CARDS_END = '<!-- /build-site:projects -->';
+
+/**
+ * Replace the project cards between the markers in index.html.
+ */
+function replaceCards(indexHtml, cardsHtml) {
+  const start = indexHtml.indexOf(CARDS_START);
+  const end = indexHtml.indexOf(CARDS_END);
+
+  if (start === -1 || end === -1 || end < start) {
+    throw new Error(`${INDEX_PATH} is missing the ${CARDS_START} / ${CARDS_END} markers`);
+  }
+
+  return indexHtml.slice(0, start + CARDS_START.length)
+    + `\n\n${cardsHtml}\n\n        `
+    + indexHtml.slice(end);
+}
+
+/**
+ * Render every output file for the given (already linked) projects.
+ * Returns a Map of path -> contents; nothing is written.
+ */
+export async function renderSite(projects) {
+  const errors = projects.flatMap(validateSections);
+  if (errors.length > 0) {
+    throw new Error(`Invalid sections in projects.json:\n  ${errors.join('\n  ')}`);
+  }
+
+  const files = new Map();
+  const bySlug = new Map(projects.map(p => [p.slug, p]));
+
+  for (const project of projects) {
+    const html = renderProjectPage(project, {
+      prev: bySlug.get(project.prev) || null,
+      next: bySlug.get(project.next) || null,
+    });
+    files.set(`${PROJECTS_DIR}/${project.slug}.html`, html);
+  }
+
+  const indexHtml = await readFile(INDEX_PATH, 'utf-8');
+  files.set(INDEX_PATH, replaceCards(indexHtml, renderProjectCards(projects)));
+  files.set(SITEMAP_PATH, renderSitemap(projects));
+
+  return files;
+}
+
+/**
+ * List project pages on disk that no longer have a projects.json entry.
+ */
+export async function findOrphanPages(projects) {
+  const slugs = new Set(projects.map(p => `${p.slug}.html`));
+  const entries = await readdir(PROJECTS_DIR).catch(() => []);
+  return entries
+    .filter(name => name.endsWith('.html') && !slugs.has(name))
+    .map(name => `${PROJECTS_DIR}/${name}`);
+}
+
+/**
+ * Render the site and compare it with what is on disk, without writing.
+ * Returns { changes: [{ path, before, after }], unchanged: [path] };
+ * `before` is null for files that do not exist yet.
+ */
+export async function planSite(projects) {
+  const files = await renderSite(projects);
+  const changes = [];
+  const unchanged = [];
+
+  for (const [path, after] of files) {
+    const before = await readFile(path, 'utf-8').catch(() => null);
+    if (before === after) {
+      unchanged.push(path);
+    } else {
+      changes.push({ path, before, after });
+    }
+  }
+
+  return { changes, unchanged };
+}
+
+/**
+ * Render and write the whole site. Only files whose contents changed are
+ * rewritten. Returns { written, unchanged } path lists.
+ */
+export async function buildSite(projects) {
+  const { changes, unchanged } = await planSite(projects);
+
+  await mkdir(PROJECTS_DIR, { recursive: true });
+
+  for (const { path, after } of changes) {
+    await writeFile(path, after, 'utf-8');
+  }
+
+  return { written: changes.map(c => c.path), unchanged };
+}
+
+/**
+ * Print a unified diff for each change. A null `before` is a new file,
+ * a null `after` a deleted one.
+ */
+export function printPatches(changes) {
+  for (const { path, before, after } of changes) {
+    process.stdout.write(createTwoFilesPatch(
+      before === null ? '/dev/null' : `a/${path}`,
+      after === null ? '/dev/null' : `b/${path}`,
+      before || '',
+      after || '',
+    ));
+  }
+}
+
+/**
+ * Save edited projects and rebuild every derived file.
+ *
+ * `projects` must already be linked (see linkProjects). `remove` lists
+ * files to delete alongside, e.g. the page of a removed project. With
+ * `dryRun`, the full set of changes is printed as a diff instead.
+ */
+export async function applyProjectChanges(projects, { dryRun = false, remove = [] } = {}) {
+  const before = await readFile(PROJECTS_PATH, 'utf-8').catch(() => null);
+  const after = formatProjects(projects);
+  const { changes } = await planSite(projects);
+
+  const removals = [];
+  for (const path of remove) {
+    const contents = await readFile(path, 'utf-8').catch(() => null);
+    if (contents !== null) removals.push({ path, before: contents, after: null });
+  }
+
+  const all = [
+    ...(before === after ? [] : [{ path: PROJECTS_PATH, before, after }]),
+    ...changes,
+    ...removals,
+  ];
+
+  if (dryRun) {
+    console.log('=== Dry run: no files written ===\n');
+    printPatches(all);
+    return all;
+  }
+
+  if (before !== after) {
+    await writeFile(PROJECTS_PATH, after, 'utf-8');
+  }
+
+  await mkdir(PROJECTS_DIR, { recursive: true });
+  for (const change of [...changes, ...removals]) {
+    if (change.after === null) {
+      await unlink(change.path);
+      console.log(`Removed: ${change.path}`);
+    } else {
+      await writeFile(change.path, change.after, 'utf-8');
+    }
+  }
+
+  all.filter(c => c.after !== null).forEach(c => console.log(`Wrote: ${c.path}`));
+  return all;
+}
@@ -0,0 +1,51 @@
+/**
+ * Checkpoint file for resumable batch jobs.
+ *
+ * Results are saved per item as they finish, so an interrupted run picks up
+ * where it stopped. A checkpoint only applies to a run with the same
+ * options; anything else starts over.
+ */
+
+import { readFile, writeFile, rename, rm } from 'fs/promises';
+
+/**
+ * Open the checkpoint at `path` for a run with `options`. Returns
+ * { resumed, get(key, version), set(key, version, value), clear() } where
+ * `resumed` is the number of items carried over and `version` (an ETag)
+ * guards against reusing a result for an item that changed since.
+ */
+export async function openCheckpoint(path, options) {
+  let state = { options, items: {} };
+  try {
+    const saved = JSON.parse(await readFile(path, 'utf-8'));
+    if (JSON.stringify(saved.options) === JSON.stringify(options)) state = saved;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+
+  // Writes are chained so concurrent workers never interleave them
+  let writing = Promise.resolve();
+  const save = () => {
+    writing = writing.then(async () => {
+      await writeFile(`${path}.tmp`, JSON.stringify(state) + '\n');
+      await rename(`${path}.tmp`, path);
+    });
+    return writing;
+  };
+
+  return {
+    resumed: Object.keys(state.items).length,
+    get(key, version) {
+      const item = state.items[key];
+      return item && item.version === version ? item.value : null;
+    },
+    set(key, version, value) {
+      state.items[key] = { version, value };
+      return save();
+    },
+    async clear() {
+      await writing;
+      await rm(path, { force: true });
+    },
+  };
+}
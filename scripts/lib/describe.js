@@ -0,0 +1,221 @@
+/**
+ * Description providers — where add-project gets project descriptions and
+ * per-image alt text and captions from.
+ *
+ *   anthropic  Claude via the Anthropic SDK (default). Needs ANTHROPIC_API_KEY.
+ *   fixture    Canned text from a JSON file, for offline runs and tests.
+ *   none       No generation: rough notes are used as written, images keep
+ *              their existing text.
+ *
+ * The provider comes from --provider or DESCRIPTION_PROVIDER, the Claude
+ * model from --model or DESCRIPTION_MODEL, and the fixture file from
+ * --fixture or DESCRIPTION_FIXTURE.
+ *
+ * Every provider has the same shape:
+ *   describeProject({ title, year, medium, notes }, { count, drafts, instruction })
+ *                                                   → array of `count` descriptions;
+ *                                                     with `drafts` and an
+ *                                                     `instruction`, revisions
+ *                                                     (or a merge) of the drafts
+ *   describeImage(preview, project, img)            → { alt, caption } or null
+ *   describesImages                                 → false when describeImage
+ *                                                     always returns null
+ */
+
+import { readFile } from 'fs/promises';
+import Anthropic from '@anthropic-ai/sdk';
+
+export const PROVIDERS = ['anthropic', 'fixture', 'none'];
+export const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+
+const ARTIST_CONTEXT = `Beck Andersen is a contemporary photographer and installation artist based in Chicago. Their work explores networks of dependence and trust, photography as data, and the space between documentation and construction.`;
+
+const DESCRIPTION_PROMPT = `You are writing artist project descriptions for Beck Andersen. ${ARTIST_CONTEXT}
+
+Write in a voice that is precise, measured, and intellectually engaged without being academic. Use present tense. Avoid jargon for its own sake. The description should feel like it belongs alongside these existing descriptions:
+
+- "This project examines light as humanity's first unit of measurement — an initial tool by which we began to order time and space."
+- "Pseudo-Data occupies the space between information and fabrication, producing images that adopt the visual language of empirical evidence while undermining its authority."
+
+Write exactly 2-3 sentences. No more.
+
+Reply with a JSON array of strings, one per description, and nothing else.`;
+
+const IMAGE_PROMPT = `You are writing image text for Beck Andersen's portfolio. ${ARTIST_CONTEXT}
+
+For each image, reply with a JSON object and nothing else:
+{"alt": "...", "caption": "..."}
+
+- "alt" is for screen-reader users: one plain sentence (under 125 characters) saying what is visible. No "image of" or "photo of".
+- "caption" is one short line in the artist's voice — precise, measured, present tense — about what the image does within the project. No more than 15 words.`;
+
+/**
+ * Parse a JSON reply, tolerating a fenced code block.
+ */
+function parseJsonReply(text) {
+  return JSON.parse(text.trim().replace(/^```(?:json)?\s*|\s*```$/g, ''));
+}
+
+/**
+ * Parse a reply holding an array of descriptions.
+ */
+function parseDescriptions(text) {
+  const descriptions = parseJsonReply(text);
+  if (!Array.isArray(descriptions) || descriptions.some(d => typeof d !== 'string')) {
+    throw new Error('Reply was not an array of descriptions');
+  }
+  return descriptions.map(d => d.trim());
+}
+
+/**
+ * Parse an { alt, caption } reply.
+ */
+function parseImageText(text) {
+  const { alt, caption } = parseJsonReply(text);
+  if (typeof alt !== 'string' || typeof caption !== 'string') {
+    throw new Error('Reply did not contain alt and caption strings');
+  }
+  return { alt: alt.trim(), caption: caption.trim() };
+}
+
+/**
+ * Claude via the Anthropic SDK.
+ */
+function anthropicProvider({ model }) {
+  const anthropic = new Anthropic({
+    apiKey: process.env.ANTHROPIC_API_KEY,
+  });
+
+  return {
+    name: 'anthropic',
+    describesImages: true,
+
+    async describeProject({ title, year, medium, notes }, { count = 1, drafts = [], instruction } = {}) {
+      let request = `Write ${count === 1 ? 'a project description' : `${count} distinct project descriptions`} for:
+Title: ${title}
+Year: ${year}
+Medium: ${medium}
+Rough notes: ${notes || '(none)'}`;
+
+      if (drafts.length > 0) {
+        request += `\n\nStart from ${drafts.length === 1 ? 'this draft' : 'these drafts'}:
+${drafts.map((d, i) => `${i + 1}. ${d}`).join('\n')}
+
+Instruction: ${instruction}`;
+      }
+
+      const message = await anthropic.messages.create({
+        model,
+        max_tokens: 300 * count,
+        system: DESCRIPTION_PROMPT,
+        messages: [{ role: 'user', content: request }],
+      });
+
+      return parseDescriptions(message.content[0].text).slice(0, count);
+    },
+
+    async describeImage(preview, project) {
+      const message = await anthropic.messages.create({
+        model,
+        max_tokens: 300,
+        system: IMAGE_PROMPT,
+        messages: [
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'image',
+                source: { type: 'base64', media_type: 'image/jpeg', data: preview.toString('base64') },
+              },
+              {
+                type: 'text',
+                text: `This image is from:
+Title: ${project.title}
+Year: ${project.year}
+Medium: ${project.medium}
+Description: ${project.description}`,
+              },
+            ],
+          },
+        ],
+      });
+
+      return parseImageText(message.content[0].text);
+    },
+  };
+}
+
+/**
+ * Canned text from a JSON fixture file:
+ *
+ *   {
+ *     "descriptions": ["...", "..."],
+ *     "revisions": { "shorter": "..." },
+ *     "images": { "01.jpg": { "alt": "...", "caption": "..." } }
+ *   }
+ *
+ * Variants are taken from `descriptions` in order; a revision is looked up
+ * by its instruction. Anything the fixture leaves out is filled with deterministic text built
+ * from the project details, so a fixture file is optional.
+ */
+async function fixtureProvider({ fixture }) {
+  const data = fixture ? JSON.parse(await readFile(fixture, 'utf-8')) : {};
+  const images = data.images || {};
+
+  return {
+    name: 'fixture',
+    describesImages: true,
+
+    async describeProject({ title, medium, notes }, { count = 1, drafts = [], instruction } = {}) {
+      if (drafts.length > 0) {
+        return [data.revisions?.[instruction] || `${drafts.join(' ')} (${instruction})`];
+      }
+      const variants = data.descriptions || [`${title} is a ${medium.toLowerCase()} project. ${notes}`];
+      return Array.from({ length: count }, (_, i) => variants[i] ?? `${variants[0]} (variant ${i + 1})`);
+    },
+
+    async describeImage(preview, project, img) {
+      const filename = img.src.split('/').pop();
+      return images[filename] || {
+        alt: `${project.title}, ${filename}`,
+        caption: `${project.title}: ${filename}`,
+      };
+    },
+  };
+}
+
+/**
+ * No generation at all.
+ */
+function noneProvider() {
+  return {
+    name: 'none',
+    describesImages: false,
+
+    async describeProject({ notes }, { drafts = [] } = {}) {
+      return drafts.length > 0 ? drafts.slice(0, 1) : [notes];
+    },
+
+    async describeImage() {
+      return null;
+    },
+  };
+}
+
+/**
+ * Create the provider selected by options, falling back to the environment.
+ */
+export async function createDescriber({ provider, model, fixture } = {}) {
+  const name = provider || process.env.DESCRIPTION_PROVIDER || 'anthropic';
+
+  switch (name) {
+    case 'anthropic':
+      return anthropicProvider({ model: model || process.env.DESCRIPTION_MODEL || DEFAULT_MODEL });
+    case 'fixture':
+      return fixtureProvider({ fixture: fixture || process.env.DESCRIPTION_FIXTURE });
+    case 'none':
+      return noneProvider();
+    default:
+      throw new Error(`Unknown description provider "${name}" (use ${PROVIDERS.join(', ')})`);
+  }
+}
@@ -0,0 +1,82 @@
+/**
+ * Image metadata — dimensions, orientation, colour profile and dominant
+ * colour for originals stored in R2.
+ *
+ * Dimensions come from the file header alone, so callers only need to fetch
+ * the first HEADER_BYTES of an original. The dominant colour needs decoded
+ * pixels and is read from the (much smaller) thumbnail when one exists.
+ */
+
+import sharp from 'sharp';
+
+// Enough for JPEG EXIF + ICC segments and PNG iCCP chunks in practice
+export const HEADER_BYTES = 256 * 1024;
+
+// EXIF orientations that rotate the image by 90° (width and height swap)
+const ROTATED_ORIENTATIONS = new Set([5, 6, 7, 8]);
+
+/**
+ * Read the human-readable description from an ICC profile buffer.
+ * Handles both v2 'desc' (ASCII) and v4 'mluc' (UTF-16BE) tag types.
+ * Returns null when the profile has no readable description.
+ */
+export function iccProfileName(icc) {
+  if (!icc || icc.length < 132) return null;
+
+  const tagCount = icc.readUInt32BE(128);
+  for (let i = 0; i < tagCount; i++) {
+    const entry = 132 + i * 12;
+    if (entry + 12 > icc.length) break;
+    if (icc.toString('ascii', entry, entry + 4) !== 'desc') continue;
+
+    const offset = icc.readUInt32BE(entry + 4);
+    const type = icc.toString('ascii', offset, offset + 4);
+
+    if (type === 'desc') {
+      const length = icc.readUInt32BE(offset + 8);
+      return icc.toString('ascii', offset + 12, offset + 12 + length).replace(/\0+$/, '') || null;
+    }
+
+    if (type === 'mluc') {
+      const length = icc.readUInt32BE(offset + 20);
+      const start = offset + icc.readUInt32BE(offset + 24);
+      const utf16 = Buffer.from(icc.subarray(start, start + length)).swap16();
+      return utf16.toString('utf16le').replace(/\0+$/, '') || null;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Read display dimensions, EXIF orientation and colour profile from an
+ * image header. Width and height are as displayed, i.e. already swapped
+ * for rotated orientations.
+ */
+export async function readHeaderMetadata(buffer) {
+  const meta = await sharp(buffer).metadata();
+
+  if (!meta.width || !meta.height) {
+    throw new Error('Image header has no dimensions');
+  }
+
+  const orientation = meta.orientation || 1;
+  const rotated = ROTATED_ORIENTATIONS.has(orientation);
+
+  return {
+    width: rotated ? meta.height : meta.width,
+    height: rotated ? meta.width : meta.height,
+    orientation,
+    colorProfile: iccProfileName(meta.icc) || undefined,
+  };
+}
+
+/**
+ * Dominant colour of an image as a #rrggbb hex string.
+ */
+export async function dominantColor(buffer) {
+  const { dominant } = await sharp(buffer).stats();
+  return '#' + [dominant.r, dominant.g, dominant.b]
+    .map(c => c.toString(16).padStart(2, '0'))
+    .join('');
+}
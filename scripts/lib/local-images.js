@@ -0,0 +1,194 @@
+/**
+ * Local originals — find images in a folder, give them normalized names
+ * and remove GPS location data before they are uploaded.
+ *
+ * JPEGs are cleaned losslessly: the EXIF GPS IFD is emptied in place and
+ * any XMP packet carrying GPS fields is dropped, leaving the image data,
+ * orientation and ICC profile untouched. PNG and WebP files rarely carry
+ * EXIF; when theirs has GPS data they are re-encoded without any EXIF.
+ */
+
+import { readdir } from 'fs/promises';
+import { extname, join } from 'path';
+import sharp from 'sharp';
+
+export const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+};
+
+const GPS_IFD_TAG = 0x8825;
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+
+// Bytes per value for each TIFF field type
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+/**
+ * List the images in a folder in natural filename order (2.jpg before
+ * 10.jpg). Other files are ignored.
+ */
+export async function listLocalImages(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isFile() && CONTENT_TYPES[extname(entry.name).toLowerCase()])
+    .map(entry => entry.name)
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }))
+    .map(name => ({ path: join(dir, name), name }));
+}
+
+/**
+ * Assign each file its normalized name: a zero-padded position (01, 02, …)
+ * and a lowercase extension, with .jpeg shortened to .jpg.
+ */
+export function normalizeNames(files) {
+  const width = Math.max(2, String(files.length).length);
+  return files.map((file, i) => {
+    const ext = extname(file.name).toLowerCase().replace('.jpeg', '.jpg');
+    return { ...file, filename: `${String(i + 1).padStart(width, '0')}${ext}` };
+  });
+}
+
+/**
+ * Find the GPS IFD inside an EXIF block (starting with "Exif\0\0").
+ * Returns its offset and endian-aware readers, or null when there is none.
+ */
+function findGpsIfd(exif) {
+  if (exif.toString('binary', 0, 6) !== EXIF_HEADER) return null;
+
+  const tiff = 6;
+  const little = exif.toString('ascii', tiff, tiff + 2) === 'II';
+  const u16 = at => (little ? exif.readUInt16LE(at) : exif.readUInt16BE(at));
+  const u32 = at => (little ? exif.readUInt32LE(at) : exif.readUInt32BE(at));
+
+  const ifd0 = tiff + u32(tiff + 4);
+  if (ifd0 + 2 > exif.length) return null;
+
+  for (let i = 0; i < u16(ifd0); i++) {
+    const entry = ifd0 + 2 + i * 12;
+    if (entry + 12 > exif.length) break;
+    if (u16(entry) === GPS_IFD_TAG) {
+      const offset = tiff + u32(entry + 8);
+      return offset + 2 <= exif.length ? { tiff, offset, little, u16, u32 } : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Empty the GPS IFD of an EXIF block in place: zero every entry and any
+ * out-of-line values, then set the entry count to 0. Returns whether
+ * anything was removed.
+ */
+function clearGpsIfd(exif) {
+  const gps = findGpsIfd(exif);
+  if (!gps) return false;
+
+  const { tiff, offset, little, u16, u32 } = gps;
+  const count = u16(offset);
+
+  for (let i = 0; i < count; i++) {
+    const entry = offset + 2 + i * 12;
+    if (entry + 12 > exif.length) break;
+    const size = (TYPE_SIZES[u16(entry + 2)] || 1) * u32(entry + 4);
+    if (size > 4) {
+      const value = tiff + u32(entry + 8);
+      exif.fill(0, value, Math.min(value + size, exif.length));
+    }
+    exif.fill(0, entry, entry + 12);
+  }
+
+  if (little) exif.writeUInt16LE(0, offset);
+  else exif.writeUInt16BE(0, offset);
+  return count > 0;
+}
+
+/**
+ * Walk the marker segments of a JPEG up to the start of scan.
+ */
+function* jpegSegments(buffer) {
+  let pos = 2;
+  while (pos + 4 <= buffer.length && buffer[pos] === 0xff) {
+    const marker = buffer[pos + 1];
+    if (marker === 0xda) return;
+    const length = buffer.readUInt16BE(pos + 2);
+    yield { marker, start: pos, data: pos + 4, end: pos + 2 + length };
+    pos += 2 + length;
+  }
+}
+
+/**
+ * Whether an XMP segment mentions GPS fields.
+ */
+function isGpsXmp(buffer, segment) {
+  const header = buffer.toString('binary', segment.data, segment.data + XMP_HEADER.length);
+  return header === XMP_HEADER && buffer.toString('utf8', segment.data, segment.end).includes('GPS');
+}
+
+/**
+ * Remove GPS data from a JPEG without re-encoding it.
+ */
+function stripJpegGps(input) {
+  const buffer = Buffer.from(input);
+  const drop = [];
+  let stripped = false;
+
+  for (const segment of jpegSegments(buffer)) {
+    if (segment.marker !== 0xe1) continue;
+    if (isGpsXmp(buffer, segment)) {
+      drop.push(segment);
+    } else if (clearGpsIfd(buffer.subarray(segment.data, segment.end))) {
+      stripped = true;
+    }
+  }
+
+  if (drop.length === 0) return { buffer, stripped };
+
+  const parts = [];
+  let pos = 0;
+  for (const segment of drop) {
+    parts.push(buffer.subarray(pos, segment.start));
+    pos = segment.end;
+  }
+  parts.push(buffer.subarray(pos));
+  return { buffer: Buffer.concat(parts), stripped: true };
+}
+
+/**
+ * Whether an image still carries GPS location data.
+ */
+export async function hasGps(buffer) {
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    for (const segment of jpegSegments(buffer)) {
+      if (segment.marker !== 0xe1) continue;
+      if (isGpsXmp(buffer, segment)) return true;
+      const gps = findGpsIfd(buffer.subarray(segment.data, segment.end));
+      if (gps && gps.u16(gps.offset) > 0) return true;
+    }
+    return false;
+  }
+
+  const { exif } = await sharp(buffer).metadata();
+  const gps = exif ? findGpsIfd(exif) : null;
+  return Boolean(gps && gps.u16(gps.offset) > 0);
+}
+
+/**
+ * Remove GPS location data from an image. Returns { buffer, stripped }.
+ */
+export async function stripGps(buffer, ext) {
+  if (CONTENT_TYPES[ext] === 'image/jpeg') {
+    return stripJpegGps(buffer);
+  }
+
+  if (!await hasGps(buffer)) return { buffer, stripped: false };
+
+  // Bake in the orientation, since the EXIF that carried it is dropped
+  const image = sharp(buffer).rotate().keepIccProfile();
+  const output = ext === '.png'
+    ? image.png()
+    : image.webp({ quality: 95 });
+  return { buffer: await output.toBuffer(), stripped: true };
+}
@@ -0,0 +1,51 @@
+/**
+ * Batch helpers for long R2 jobs — a bounded worker pool and retry with
+ * exponential backoff.
+ */
+
+import { setTimeout as sleep } from 'timers/promises';
+
+/**
+ * Run `worker(item, index)` over every item with at most `concurrency`
+ * calls in flight. Workers are expected to handle their own errors; the
+ * first one that escapes rejects the pool.
+ */
+export async function runPool(items, concurrency, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      await worker(items[index], index);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * Whether an R2 error is worth retrying: throttling, server errors and
+ * failures with no response at all (dropped connections, timeouts, a body
+ * stream cut off mid-download). Other 4xx errors are final.
+ */
+export function isRetryable(err) {
+  const status = err.$metadata?.httpStatusCode;
+  return !status || status === 429 || status >= 500;
+}
+
+/**
+ * Call `fn` until it succeeds, waiting `baseDelay` × 2^n (with jitter)
+ * between attempts. `onRetry(err, attempt, delay)` is called before each
+ * wait. The SDK retries requests itself, but not a download whose body
+ * stream fails part way, which is what this covers on top.
+ */
+export async function withRetry(fn, { attempts = 5, baseDelay = 500, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= attempts || !isRetryable(err)) throw err;
+      const delay = Math.round(baseDelay * 2 ** (attempt - 1) * (0.5 + Math.random()));
+      if (onRetry) onRetry(err, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
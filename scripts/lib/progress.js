@@ -0,0 +1,85 @@
+/**
+ * Live progress line for batch scripts:
+ *
+ *   [ 42/310] 13.5%  1.8 img/s  22.4 MB/s  ETA 2m 29s
+ *
+ * On a terminal the line is redrawn in place on stderr, and log lines are
+ * printed above it. When output is redirected (CI, log files) there is no
+ * live line; log lines are printed as usual.
+ */
+
+/**
+ * Format seconds as "1h 02m", "2m 29s" or "14s".
+ */
+export function formatDuration(seconds) {
+  const s = Math.max(0, Math.round(seconds));
+  if (s >= 3600) return `${Math.floor(s / 3600)}h ${String(Math.floor(s / 60) % 60).padStart(2, '0')}m`;
+  if (s >= 60) return `${Math.floor(s / 60)}m ${String(s % 60).padStart(2, '0')}s`;
+  return `${s}s`;
+}
+
+/**
+ * Create a progress tracker for `total` items. Call `tick(bytes)` as each
+ * item finishes, `log(line)` instead of console.log while it is running,
+ * and `done()` at the end to clear the line; it returns a one-line summary
+ * ("310 images in 2m 51s (1.8 img/s, 22.4 MB/s)").
+ */
+export function createProgress(total, { stream = process.stderr } = {}) {
+  const live = Boolean(stream.isTTY);
+  const started = Date.now();
+  let completed = 0;
+  let bytes = 0;
+  let shown = false;
+
+  function rates() {
+    const elapsed = (Date.now() - started) / 1000;
+    return {
+      elapsed,
+      rate: elapsed > 0 ? completed / elapsed : 0,
+      mbps: elapsed > 0 ? bytes / elapsed / 1024 / 1024 : 0,
+    };
+  }
+
+  function line() {
+    const { rate, mbps } = rates();
+    const eta = rate > 0 ? formatDuration((total - completed) / rate) : '--';
+    const width = String(total).length;
+    const percent = total > 0 ? (100 * completed / total).toFixed(1) : '100.0';
+    return `[${String(completed).padStart(width)}/${total}] ${percent}%  `
+      + `${rate.toFixed(1)} img/s  ${mbps.toFixed(1)} MB/s  ETA ${eta}`;
+  }
+
+  function clear() {
+    if (shown) stream.write('\r\x1b[K');
+    shown = false;
+  }
+
+  function draw() {
+    if (!live) return;
+    stream.write(`\r\x1b[K${line()}`);
+    shown = true;
+  }
+
+  return {
+    tick(itemBytes = 0) {
+      completed++;
+      bytes += itemBytes;
+      draw();
+    },
+    log(message) {
+      clear();
+      console.log(message);
+      draw();
+    },
+    error(message) {
+      clear();
+      console.error(message);
+      draw();
+    },
+    done() {
+      clear();
+      const { elapsed, rate, mbps } = rates();
+      return `${completed} images in ${formatDuration(elapsed)} (${rate.toFixed(1)} img/s, ${mbps.toFixed(1)} MB/s)`;
+    },
+  };
+}
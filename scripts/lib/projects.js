@@ -0,0 +1,201 @@
+/**
+ * Projects data — read, order and write data/projects.json.
+ *
+ * data/projects.json is the single source of truth for every project page,
+ * the home page cards and the sitemap. Order is defined by each project's
+ * `order` field; prev/next links are always derived from it.
+ */
+
+import { readFile, writeFile } from 'fs/promises';
+
+export const PROJECTS_PATH = 'data/projects.json';
+
+/**
+ * Read projects.json and return projects sorted by `order`.
+ */
+export async function readProjects(path = PROJECTS_PATH) {
+  const projects = JSON.parse(await readFile(path, 'utf-8'));
+  return projects.sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Renumber `order` and rewire prev/next from the array order.
+ * Mutates and returns the array.
+ */
+export function linkProjects(projects) {
+  projects.forEach((project, i) => {
+    project.order = i;
+    project.prev = i > 0 ? projects[i - 1].slug : null;
+    project.next = i < projects.length - 1 ? projects[i + 1].slug : null;
+  });
+  return projects;
+}
+
+/**
+ * Find a project by slug.
+ */
+export function findProject(projects, slug) {
+  return projects.find(p => p.slug === slug) || null;
+}
+
+/**
+ * Indices of the images shown in a project's main grid.
+ * `mainGallery` selects a subset; when absent every image is shown.
+ */
+export function mainGalleryIndices(project) {
+  return project.mainGallery || project.images.map((_, i) => i);
+}
+
+/**
+ * Set a project's description and append it to `descriptionHistory`, so
+ * earlier wording can be restored later. `source` says where the text came
+ * from: a description provider name, or 'manual'.
+ *
+ * A project with no history yet first records its current description
+ * (source 'earlier', no date). The history is placed right after
+ * `description` so projects.json stays readable.
+ */
+export function recordDescription(project, description, source) {
+  if (!project.descriptionHistory) {
+    const entries = Object.entries(project);
+    const at = entries.findIndex(([key]) => key === 'description') + 1;
+    const history = project.description
+      ? [{ description: project.description, source: 'earlier' }]
+      : [];
+    entries.splice(at || entries.length, 0, ['descriptionHistory', history]);
+    Object.keys(project).forEach(key => delete project[key]);
+    Object.assign(project, Object.fromEntries(entries));
+  }
+
+  const last = project.descriptionHistory.at(-1);
+  if (!last || last.description !== description) {
+    project.descriptionHistory.push({
+      description,
+      source,
+      accepted: new Date().toISOString(),
+    });
+  }
+  project.description = description;
+}
+
+/**
+ * Point a project at a new set of originals in projects/<slug>/full/, e.g.
+ * after upload-project replaced them. Every image is new, so each gets the
+ * placeholder dimensions and title alt text add-project starts from, until
+ * add-project --backfill and --describe fill them in. Sections and
+ * mainGallery keep their indices; the cover stays if its file is still
+ * there and becomes the first image otherwise. Mutates and returns the
+ * project.
+ */
+export function replaceImages(project, filenames) {
+  project.images = filenames.map((filename) => {
+    const src = `/projects/${project.slug}/full/${filename}`;
+    return { src, thumb: src.replace('/full/', '/thumb/'), alt: project.title, width: 1200, height: 900 };
+  });
+
+  const cover = project.images.find(img => img.src === project.coverImage) || project.images[0];
+  project.coverImage = cover.src;
+  project.thumbnailImage = cover.thumb;
+  return project;
+}
+
+/**
+ * Check a project's piece-level sections and main gallery subset.
+ *
+ * Each entry in `sections` is { title, meta, description, indices }, where
+ * `indices` point into the project's `images` array. Returns a list of
+ * human-readable problems; an empty list means the project is valid.
+ */
+export function validateSections(project) {
+  const errors = [];
+  const count = project.images.length;
+  const checkIndices = (indices, label) => {
+    if (!Array.isArray(indices) || indices.length === 0) {
+      errors.push(`${label}: "indices" must be a non-empty array`);
+      return;
+    }
+    indices.forEach(i => {
+      if (!Number.isInteger(i) || i < 0 || i >= count) {
+        errors.push(`${label}: index ${i} does not resolve to an image (project has ${count})`);
+      }
+    });
+  };
+
+  if (project.mainGallery != null) {
+    checkIndices(project.mainGallery, `${project.slug} mainGallery`);
+  }
+
+  (project.sections || []).forEach((section, n) => {
+    const label = `${project.slug} section ${n + 1}`;
+    for (const field of ['title', 'meta', 'description']) {
+      if (typeof section[field] !== 'string' || !section[field]) {
+        errors.push(`${label}: missing "${field}"`);
+      }
+    }
+    checkIndices(section.indices, label);
+  });
+
+  return errors;
+}
+
+/**
+ * Serialize projects in the file's house style: one image per line,
+ * primitive arrays inline, everything else indented by two spaces.
+ */
+export function formatProjects(projects) {
+  return `${formatValue(projects, 0)}\n`;
+}
+
+function formatValue(value, depth) {
+  const pad = '  '.repeat(depth);
+
+  if (Array.isArray(value)) {
+    if (value.length === 0) return '[]';
+    if (value.every(isPrimitive)) {
+      return `[${value.map(v => JSON.stringify(v)).join(', ')}]`;
+    }
+    const items = value.map(v => `${pad}  ${formatValue(v, depth + 1)}`);
+    return `[\n${items.join(',\n')}\n${pad}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return '{}';
+    if (entries.every(([, v]) => isPrimitive(v))) {
+      return `{ ${entries.map(([k, v]) => `${JSON.stringify(k)}: ${JSON.stringify(v)}`).join(', ')} }`;
+    }
+    const items = entries.map(([k, v]) => {
+      // Images stay one per line even when they carry variant lists
+      const formatted = k === 'images' && Array.isArray(v) && v.length > 0
+        ? `[\n${v.map(img => `${pad}    ${formatInline(img)}`).join(',\n')}\n${pad}  ]`
+        : formatValue(v, depth + 1);
+      return `${pad}  ${JSON.stringify(k)}: ${formatted}`;
+    });
+    return `{\n${items.join(',\n')}\n${pad}}`;
+  }
+
+  return JSON.stringify(value);
+}
+
+function formatInline(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(formatInline).join(', ')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).filter(([, v]) => v !== undefined);
+    if (entries.length === 0) return '{}';
+    return `{ ${entries.map(([k, v]) => `${JSON.stringify(k)}: ${formatInline(v)}`).join(', ')} }`;
+  }
+  return JSON.stringify(value);
+}
+
+function isPrimitive(value) {
+  return value === null || typeof value !== 'object';
+}
+
+/**
+ * Write projects back to projects.json.
+ */
+export async function writeProjects(projects, path = PROJECTS_PATH) {
+  await writeFile(path, formatProjects(projects));
+}
@@ -0,0 +1,26 @@
+/**
+ * Readline prompt helper shared by the interactive scripts.
+ */
+
+import { createInterface } from 'readline';
+
+/**
+ * Create a prompt bound to stdin/stdout. Call close() when done.
+ */
+export function createPrompt() {
+  const rl = createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+
+  return {
+    ask(question) {
+      return new Promise((resolve) => {
+        rl.question(question, (answer) => resolve(answer.trim()));
+      });
+    },
+    close() {
+      rl.close();
+    },
+  };
+}
@@ -0,0 +1,289 @@
+/**
+ * Site templates — HTML for project pages, home page cards and the sitemap.
+ *
+ * Every function here is pure: it takes project data from projects.json
+ * and returns a string. Writing files is left to build.js.
+ */
+
+import { CDN_BASE, SITE_URL } from '../../js/config.js';
+import { mainGalleryIndices } from './projects.js';
+import { FORMAT_TYPES, variantPath, fallbackFormat, largestVariantPath } from './variants.js';
+
+const CDN = process.env.CDN_BASE_URL || CDN_BASE;
+
+// Top-level pages listed in the sitemap ahead of the projects
+const STATIC_PAGES = [
+  { path: '', priority: '1.0', changefreq: 'weekly' },
+  { path: 'about.html', priority: '0.8', changefreq: 'monthly' },
+  { path: 'gallery.html', priority: '0.8', changefreq: 'weekly' },
+  { path: 'point-clouds.html', priority: '0.7', changefreq: 'monthly' },
+];
+
+// Rendered width of images in each layout, for the `sizes` attribute
+const SIZES = {
+  page: '(max-width: 1200px) 100vw, 1200px',
+  carousel: '(max-width: 640px) 85vw, min(70vw, 600px)',
+  card: '(max-width: 640px) 100vw, (max-width: 1024px) 50vw, 400px',
+};
+
+/**
+ * Escape text for use in HTML content and double-quoted attributes.
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Height of the 40px-wide blurred placeholder for an image.
+ */
+function thumbHeight(img) {
+  return Math.round(40 * img.height / img.width);
+}
+
+/**
+ * Find the width/height record for a project's cover image,
+ * falling back to the first image when the cover is not in the set.
+ */
+function coverDimensions(project) {
+  const cover = project.images.find(img => img.src === project.coverImage)
+    || project.images[0];
+  return cover || { width: 1200, height: 900 };
+}
+
+/**
+ * srcset candidates for one format of an image's variants.
+ */
+function srcset(img, format) {
+  return img.widths.map(w => `${CDN}${variantPath(img.src, w, format)} ${w}w`).join(', ');
+}
+
+/**
+ * The lazily loaded full image. Images with responsive variants become a
+ * <picture> with one <source> per modern format and the JPEG ladder (or
+ * the last format) on the <img>; data-src then points at the largest
+ * variant instead of the original. image-loader.js copies the data-*
+ * attributes into place when the image scrolls into view.
+ */
+function fullImage(img, { alt, sizes, p }) {
+  if (!img.widths || !img.formats) {
+    return `${p}<img class="image-container__full"
+${p}     data-src="${img.src}"
+${p}     alt="${alt}"
+${p}     width="${img.width}" height="${img.height}" loading="lazy">`;
+  }
+
+  const fallback = fallbackFormat(img.formats);
+  const sources = img.formats
+    .filter(format => format !== fallback)
+    .map(format => `${p}  <source type="${FORMAT_TYPES[format]}" sizes="${sizes}"
+${p}          data-srcset="${srcset(img, format)}">`);
+
+  return `${p}<picture class="image-container__picture">
+${sources.join('\n')}
+${p}  <img class="image-container__full"
+${p}       data-src="${largestVariantPath(img)}"
+${p}       data-srcset="${srcset(img, fallback)}" sizes="${sizes}"
+${p}       alt="${alt}"
+${p}       width="${img.width}" height="${img.height}" loading="lazy">
+${p}</picture>`;
+}
+
+/**
+ * Source of the blurred placeholder: the inline data URI when the image
+ * has one, so the page needs no request before the full image arrives,
+ * otherwise the thumbnail on the CDN.
+ */
+function placeholderSrc(img, thumb) {
+  return img.placeholder || `${CDN}${thumb}`;
+}
+
+/**
+ * Thumbnail + full-resolution image pair used by image-loader.js.
+ */
+function imageBlock(img, indent, sizes) {
+  const p = ' '.repeat(indent);
+  return `${p}<div class="image-container">
+${p}  <img class="image-container__thumb"
+${p}       src="${placeholderSrc(img, img.thumb)}"
+${p}       alt="" aria-hidden="true" width="40" height="${thumbHeight(img)}">
+${fullImage(img, { alt: escapeHtml(img.alt || ''), sizes, p: `${p}  ` })}
+${p}</div>`;
+}
+
+/**
+ * Render a full project page.
+ * `prev` and `next` are the neighbouring project records (or null).
+ */
+export function renderProjectPage(project, { prev, next }) {
+  const title = escapeHtml(project.title);
+  const mainImgs = mainGalleryIndices(project)
+    .map(i => imageBlock(project.images[i], 6, SIZES.page)).join('\n\n');
+
+  let carouselHTML = '';
+  for (const section of project.sections || []) {
+    const cImgs = section.indices.map(i => imageBlock(project.images[i], 8, SIZES.carousel)).join('\n');
+    const sectionTitle = escapeHtml(section.title);
+    carouselHTML += `
+    <!-- Piece-specific carousel -->
+    <section class="piece-carousel">
+      <header class="piece-carousel__header">
+        <h2>${sectionTitle}</h2>
+        <p class="piece-carousel__meta">${escapeHtml(section.meta)}</p>
+      </header>
+      <div class="piece-carousel__description">
+        <p>${escapeHtml(section.description)}</p>
+      </div>
+      <div class="piece-carousel__images" data-section="${sectionTitle}">
+${cImgs}
+      </div>
+    </section>
+`;
+  }
+
+  const navAttrs = [];
+  if (prev) navAttrs.push(`data-prev-project="${prev.slug}.html"`);
+  if (next) navAttrs.push(`data-next-project="${next.slug}.html"`);
+  const navLinks = [];
+  if (prev) navLinks.push(`      <a href="${prev.slug}.html">&larr; ${escapeHtml(prev.title)}</a>`);
+  if (next) navLinks.push(`      <a href="${next.slug}.html">${escapeHtml(next.title)} &rarr;</a>`);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${title} — Beck Andersen</title>
+  <meta name="description" content="${escapeHtml(project.description.substring(0, 160))}">
+  <meta property="og:title" content="${title} — Beck Andersen">
+  <meta property="og:description" content="${escapeHtml(`${project.medium} — ${project.year}`)}">
+  <meta property="og:image" content="${CDN}${project.coverImage}">
+  <meta property="og:type" content="website">
+  <link rel="stylesheet" href="../css/variables.css">
+  <link rel="stylesheet" href="../css/base.css">
+  <link rel="stylesheet" href="../css/components.css">
+  <link rel="stylesheet" href="../css/pages.css">
+</head>
+<body>
+  <nav class="site-nav" role="navigation" aria-label="Main navigation">
+    <a class="site-nav__name" href="../index.html">beck andersen</a>
+    <button class="site-nav__toggle" aria-expanded="false" aria-controls="nav-links" aria-label="Toggle navigation">
+      <span class="site-nav__toggle-icon"></span>
+    </button>
+    <div class="site-nav__links" id="nav-links">
+      <a href="../index.html" class="active">work</a>
+      <a href="../gallery.html">gallery</a>
+      <a href="../point-clouds.html">point clouds</a>
+      <a href="../about.html">about</a>
+    </div>
+  </nav>
+
+  <main class="project-page">
+    <header class="project-page__header">
+      <h1 class="project-page__title">${title}</h1>
+      <p class="project-page__year">${escapeHtml(project.year)}</p>
+      <p class="project-page__medium">${escapeHtml(project.medium)}</p>
+    </header>
+
+    <div class="project-page__description">
+      <p>${escapeHtml(project.description)}</p>
+    </div>
+
+    <div class="project-page__images">
+${mainImgs}
+    </div>
+${carouselHTML}
+    <nav class="project-page__nav" aria-label="Project navigation"
+         ${navAttrs.join('\n         ')}>
+${navLinks.join('\n')}
+    </nav>
+  </main>
+
+  <footer class="site-footer">
+    <div class="site-footer__links">
+      <a href="mailto:contact@beckandersen.com">email</a>
+      <a href="https://instagram.com/beckandersen" target="_blank" rel="noopener noreferrer">instagram</a>
+    </div>
+    <p>&copy; 2025 Beck Andersen</p>
+  </footer>
+
+  <script>
+    document.querySelector('.site-nav__toggle')?.addEventListener('click', function() {
+      const expanded = this.getAttribute('aria-expanded') === 'true';
+      this.setAttribute('aria-expanded', !expanded);
+      document.getElementById('nav-links').classList.toggle('is-open');
+    });
+  </script>
+  <script type="module" src="../js/image-loader.js"></script>
+  <script type="module" src="../js/lightbox.js"></script>
+  <script type="module" src="../js/project-template.js"></script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Render a single home page project card.
+ */
+export function renderProjectCard(project) {
+  const title = escapeHtml(project.title);
+  const cover = coverDimensions(project);
+  const thumb = project.thumbnailImage || project.coverImage.replace('/full/', '/thumb/');
+  // Variants only apply when the cover is one of the project's own images
+  const coverImage = cover.src === project.coverImage
+    ? cover
+    : { src: project.coverImage, width: cover.width, height: cover.height };
+
+  return `        <!-- ${title} -->
+        <a class="project-card" href="projects/${project.slug}.html">
+          <div class="image-container">
+            <img class="image-container__thumb"
+                 src="${placeholderSrc(coverImage, thumb)}"
+                 alt="" aria-hidden="true" width="40" height="${thumbHeight(cover)}" loading="eager">
+${fullImage(coverImage, { alt: title, sizes: SIZES.card, p: '            ' })}
+          </div>
+          <div class="project-card__overlay">
+            <div>
+              <h2 class="project-card__title">${title}</h2>
+              <p class="project-card__year">${escapeHtml(project.year)}</p>
+            </div>
+          </div>
+        </a>`;
+}
+
+/**
+ * Render all home page project cards, in order.
+ */
+export function renderProjectCards(projects) {
+  return projects.map(renderProjectCard).join('\n\n');
+}
+
+/**
+ * Render sitemap.xml. The first project in the work order gets a higher
+ * priority than the rest, matching its place at the top of the home page.
+ */
+export function renderSitemap(projects) {
+  const urls = [
+    ...STATIC_PAGES,
+    ...projects.map((p, i) => ({
+      path: `projects/${p.slug}.html`,
+      priority: i === 0 ? '0.9' : '0.6',
+      changefreq: 'monthly',
+    })),
+  ];
+
+  const entries = urls.map(u => `  <url>
+    <loc>${SITE_URL}/${u.path}</loc>
+    <priority>${u.priority}</priority>
+    <changefreq>${u.changefreq}</changefreq>
+  </url>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</urlset>
+`;
+}
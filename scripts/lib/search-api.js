@@ -0,0 +1,41 @@
+/**
+ * Client for the gallery-search worker's admin routes.
+ *
+ * SEARCH_ENDPOINT selects the worker; SEARCH_ADMIN_TOKEN must hold the
+ * same value as its ADMIN_TOKEN secret. Requests are signed with it
+ * rather than sending the token itself.
+ */
+
+import { SIGNATURE_HEADER, signRequest } from './search-auth.js';
+
+export const SEARCH_ENDPOINT = process.env.SEARCH_ENDPOINT || 'https://gallery-search.beckandersen.workers.dev';
+
+/**
+ * Send a signed admin request and return the parsed JSON response.
+ */
+export async function adminRequest(method, path, data) {
+  const token = process.env.SEARCH_ADMIN_TOKEN;
+  if (!token) {
+    throw new Error('SEARCH_ADMIN_TOKEN is not set (see .env.example)');
+  }
+
+  const body = data === undefined ? '' : JSON.stringify(data);
+  const url = new URL(`${SEARCH_ENDPOINT}${path}`);
+  const response = await fetch(url, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      [SIGNATURE_HEADER]: await signRequest(token, { method, path: url.pathname, body }),
+    },
+    body: body || undefined,
+  });
+
+  if (response.status === 401 || response.status === 403) {
+    throw new Error(`${method} ${path} was rejected (${response.status}): check SEARCH_ADMIN_TOKEN matches the worker's ADMIN_TOKEN`);
+  }
+  if (!response.ok) {
+    const text = await response.text();
+    throw new Error(`${method} ${path} failed: ${response.status} ${response.statusText} ${text}`.trim());
+  }
+  return response.json();
+}
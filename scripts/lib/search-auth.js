@@ -0,0 +1,79 @@
+/**
+ * Gallery-search admin authentication.
+ *
+ * The worker's admin routes accept either credential, checked against its
+ * ADMIN_TOKEN secret:
+ *
+ *   Authorization: Bearer <token>
+ *   X-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<method>.<path>.<body>">
+ *
+ * A signature covers the method, path and body and expires after five
+ * minutes, so a logged request cannot be altered or pointed at another
+ * route or image. It can still be sent again unchanged within those five
+ * minutes, which only repeats the same update or deletion; the scripts
+ * sign each request afresh.
+ *
+ * Shared by the scripts and the worker, so this module uses Web Crypto only.
+ */
+
+export const SIGNATURE_HEADER = 'X-Signature';
+
+// How far a signature's timestamp may be from the worker's clock
+export const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const encoder = new TextEncoder();
+
+async function hmacHex(secret, message) {
+  const key = await crypto.subtle.importKey(
+    'raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+  );
+  const mac = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(mac)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Compares every byte so the time taken does not reveal how much matched
+function safeEqual(a, b) {
+  const x = encoder.encode(a);
+  const y = encoder.encode(b);
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < x.length; i++) {
+    diff |= x[i] ^ (y[i] ?? 0);
+  }
+  return diff === 0;
+}
+
+function signedMessage(timestamp, method, path, body) {
+  return `${timestamp}.${method.toUpperCase()}.${path}.${body}`;
+}
+
+/**
+ * X-Signature header value for a request: its method, URL path (as sent,
+ * without the query) and body.
+ */
+export async function signRequest(secret, { method, path, body = '' }, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${await hmacHex(secret, signedMessage(timestamp, method, path, body))}`;
+}
+
+/**
+ * Check a request's credentials against the admin secret. Returns
+ * 'missing' when it carries none, 'invalid' when they do not match or the
+ * signature has expired, and 'ok' otherwise.
+ */
+export async function verifyAdmin({ authorization, signature, method = '', path = '', body = '', secret, now = Date.now() }) {
+  if (!authorization && !signature) return 'missing';
+  if (!secret) return 'invalid';
+
+  const bearer = /^Bearer\s+(\S+)$/i.exec(authorization || '');
+  if (bearer) {
+    return safeEqual(bearer[1], secret) ? 'ok' : 'invalid';
+  }
+
+  const signed = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(signature || '');
+  if (!signed) return 'invalid';
+
+  const timestamp = Number(signed[1]);
+  if (Math.abs(now / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) return 'invalid';
+
+  const expected = await hmacHex(secret, signedMessage(timestamp, method, path, body));
+  return safeEqual(signed[2], expected) ? 'ok' : 'invalid';
+}
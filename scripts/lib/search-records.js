@@ -0,0 +1,72 @@
+/**
+ * Gallery-search records — the /index-batch payload for each image.
+ *
+ * Shared by scripts/reindex.js and the gallery-search worker, which
+ * indexes new uploads from the deployed data/projects.json, so this
+ * module must stay free of Node-only imports.
+ */
+
+/**
+ * First and last year of a project's "year" field: "2024" is 2024–2024 and
+ * "2024–present" runs to 9999, so a year filter matches ongoing work.
+ * Returns null when the field has no year in it.
+ */
+export function yearRange(year) {
+  const match = /(\d{4})(?:\s*[–—-]\s*(\d{4}|present))?/i.exec(year || '');
+  if (!match) return null;
+  const from = Number(match[1]);
+  const to = !match[2] ? from : /present/i.test(match[2]) ? 9999 : Number(match[2]);
+  return { yearFrom: from, yearTo: to };
+}
+
+/**
+ * Build gallery-search /index-batch payloads for every image in a project.
+ * Images that belong to a section carry its title and description so the
+ * piece context is embedded alongside the image's own alt text.
+ */
+export function toSearchRecords(project) {
+  const sectionOf = new Map();
+  (project.sections || []).forEach(section => {
+    section.indices.forEach(i => {
+      if (!sectionOf.has(i)) sectionOf.set(i, section);
+    });
+  });
+
+  const years = yearRange(project.year);
+
+  return project.images.map((img, i) => {
+    const section = sectionOf.get(i);
+    const filename = img.src.split('/').pop();
+    return {
+      id: `${project.slug}/${filename}`,
+      tags: project.tags || [],
+      alt: img.alt || '',
+      caption: img.caption || '',
+      project: project.title,
+      year: project.year || '',
+      ...years,
+      section: section ? section.title : '',
+      sectionDescription: section ? section.description : '',
+      src: img.src,
+      thumb: img.thumb,
+      placeholder: img.placeholder || '',
+      width: img.width,
+      height: img.height,
+    };
+  });
+}
+
+/**
+ * Search id of an original in R2: "<slug>/<filename>" for project images
+ * (matching toSearchRecords) and "gallery-<name>" for gallery images
+ * (matching the ids in data/gallery-tags.json). Returns null for any other key.
+ */
+export function searchIdForKey(key) {
+  const project = /^projects\/([^/]+)\/full\/([^/]+\.(?:jpe?g|png|webp))$/i.exec(key);
+  if (project) return `${project[1]}/${project[2]}`;
+
+  const gallery = /^gallery\/full\/([^/]+)\.(?:jpe?g|png|webp)$/i.exec(key);
+  if (gallery) return `gallery-${gallery[1]}`;
+
+  return null;
+}
@@ -0,0 +1,240 @@
+/**
+ * Asset storage — where originals, thumbnails and variants live.
+ *
+ * Selected with the STORAGE environment variable:
+ *
+ *   STORAGE=r2             Cloudflare R2 (default), using R2_ENDPOINT,
+ *                          R2_BUCKET, R2_ACCESS_KEY_ID, R2_SECRET_ACCESS_KEY
+ *   STORAGE=fs:./assets    a local directory; keys are paths inside it
+ *
+ * Both backends expose the same object-store interface:
+ *
+ *   list(prefix)                      [{ key, size, etag, lastModified }]
+ *   get(key, { bytes })               Buffer (only the first `bytes` if given)
+ *   download(key, path)               stream to a local file, returns bytes
+ *   put(key, body, { contentType, cacheControl })
+ *   copy(fromKey, toKey)
+ *   remove(keys)
+ *
+ * A missing key fails with an error named "NoSuchKey" on either backend.
+ * R2 requests are retried with backoff; `onRetry(err, attempt, delay)` is
+ * called before each wait.
+ */
+
+import { createReadStream, createWriteStream } from 'fs';
+import { copyFile, mkdir, open, readdir, rm, stat, writeFile } from 'fs/promises';
+import { dirname, join, relative, resolve, sep } from 'path';
+import { pipeline } from 'stream/promises';
+import {
+  S3Client,
+  ListObjectsV2Command,
+  GetObjectCommand,
+  PutObjectCommand,
+  CopyObjectCommand,
+  DeleteObjectsCommand,
+} from '@aws-sdk/client-s3';
+import { withRetry } from './pool.js';
+
+/**
+ * Create the storage backend described by `spec` (default: $STORAGE, or r2).
+ */
+export function createStorage(spec = process.env.STORAGE || 'r2', { onRetry } = {}) {
+  if (spec === 'r2') return createR2Storage({ onRetry });
+  if (spec.startsWith('fs:') && spec.length > 3) return createFsStorage(spec.slice(3));
+  throw new Error(`Unknown storage "${spec}" (use r2 or fs:<directory>)`);
+}
+
+/**
+ * Cloudflare R2 through its S3-compatible API.
+ */
+function createR2Storage({ onRetry }) {
+  const bucket = process.env.R2_BUCKET;
+  const s3 = new S3Client({
+    region: 'auto',
+    endpoint: process.env.R2_ENDPOINT,
+    credentials: {
+      accessKeyId: process.env.R2_ACCESS_KEY_ID,
+      secretAccessKey: process.env.R2_SECRET_ACCESS_KEY,
+    },
+  });
+  const send = command => withRetry(() => s3.send(command), { onRetry });
+
+  return {
+    location: `r2://${bucket}`,
+
+    async list(prefix) {
+      const objects = [];
+      let continuationToken;
+
+      do {
+        const response = await send(new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          ContinuationToken: continuationToken,
+        }));
+        (response.Contents || []).forEach(obj => objects.push({
+          key: obj.Key,
+          size: obj.Size,
+          etag: obj.ETag,
+          lastModified: obj.LastModified,
+        }));
+        continuationToken = response.NextContinuationToken;
+      } while (continuationToken);
+
+      return objects;
+    },
+
+    // Reading the body is part of each attempt, so a stream cut off
+    // part way is retried as well
+    async get(key, { bytes } = {}) {
+      return withRetry(async () => {
+        const response = await s3.send(new GetObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Range: bytes ? `bytes=0-${bytes - 1}` : undefined,
+        }));
+        const chunks = [];
+        for await (const chunk of response.Body) {
+          chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+      }, { onRetry });
+    },
+
+    async download(key, path) {
+      return withRetry(async () => {
+        const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        await pipeline(response.Body, createWriteStream(path));
+        return response.ContentLength || 0;
+      }, { onRetry });
+    },
+
+    async put(key, body, { contentType, cacheControl } = {}) {
+      await send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: cacheControl,
+      }));
+    },
+
+    async copy(fromKey, toKey) {
+      await send(new CopyObjectCommand({
+        Bucket: bucket,
+        CopySource: `${bucket}/${encodeURIComponent(fromKey)}`,
+        Key: toKey,
+      }));
+    },
+
+    // DeleteObjects accepts at most 1000 keys per request
+    async remove(keys) {
+      for (let i = 0; i < keys.length; i += 1000) {
+        await send(new DeleteObjectsCommand({
+          Bucket: bucket,
+          Delete: { Objects: keys.slice(i, i + 1000).map(Key => ({ Key })) },
+        }));
+      }
+    },
+  };
+}
+
+/**
+ * A local directory standing in for the bucket. Content type and cache
+ * headers are not stored; ETags are derived from size and modification
+ * time, which is enough for change detection.
+ */
+function createFsStorage(dir) {
+  const root = resolve(dir);
+
+  const pathOf = key => {
+    const path = resolve(root, key);
+    if (!path.startsWith(root + sep)) throw new Error(`Key "${key}" is outside ${dir}`);
+    return path;
+  };
+
+  const notFound = (key, err) => {
+    if (err.code !== 'ENOENT') return err;
+    const missing = new Error(`No such key: ${key}`);
+    missing.name = 'NoSuchKey';
+    return missing;
+  };
+
+  async function walk(path) {
+    const entries = await readdir(path, { withFileTypes: true }).catch(err => {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    });
+    const files = [];
+    for (const entry of entries) {
+      const child = join(path, entry.name);
+      if (entry.isDirectory()) files.push(...await walk(child));
+      else if (entry.isFile()) files.push(child);
+    }
+    return files;
+  }
+
+  return {
+    location: `fs:${dir}`,
+
+    async list(prefix) {
+      // Only walk the directory the prefix points into
+      const base = prefix.includes('/') ? prefix.slice(0, prefix.lastIndexOf('/') + 1) : '';
+      const objects = [];
+      for (const path of await walk(join(root, base))) {
+        const key = relative(root, path).split(sep).join('/');
+        if (!key.startsWith(prefix)) continue;
+        const info = await stat(path);
+        objects.push({
+          key,
+          size: info.size,
+          etag: `"${info.size.toString(16)}-${Math.floor(info.mtimeMs).toString(16)}"`,
+          lastModified: info.mtime,
+        });
+      }
+      return objects.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+    },
+
+    async get(key, { bytes } = {}) {
+      let file;
+      try {
+        file = await open(pathOf(key));
+        if (!bytes) return await file.readFile();
+        const buffer = Buffer.alloc(bytes);
+        const { bytesRead } = await file.read(buffer, 0, bytes, 0);
+        return buffer.subarray(0, bytesRead);
+      } catch (err) {
+        throw notFound(key, err);
+      } finally {
+        await file?.close();
+      }
+    },
+
+    async download(key, path) {
+      try {
+        await pipeline(createReadStream(pathOf(key)), createWriteStream(path));
+      } catch (err) {
+        throw notFound(key, err);
+      }
+      return (await stat(path)).size;
+    },
+
+    async put(key, body) {
+      const path = pathOf(key);
+      await mkdir(dirname(path), { recursive: true });
+      await writeFile(path, body);
+    },
+
+    async copy(fromKey, toKey) {
+      const path = pathOf(toKey);
+      await mkdir(dirname(path), { recursive: true });
+      await copyFile(pathOf(fromKey), path).catch(err => { throw notFound(fromKey, err); });
+    },
+
+    async remove(keys) {
+      for (const key of keys) {
+        await rm(pathOf(key), { force: true });
+      }
+    },
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Thumbnails and responsive variants — the 800px JPEG stored next to every
+ * original under `thumb/`, the width × format ladder under `sizes/`
+ * (see variants.js), and the tiny inline placeholder kept in projects.json.
+ * Shared by generate-thumbnails and the upload commands.
+ */
+
+import sharp from 'sharp';
+
+// Configuration
+export const THUMB_WIDTH = 800;
+export const THUMB_QUALITY = 80;
+
+// Encoder settings per variant format (sharp output options)
+const VARIANT_SETTINGS = {
+  avif: { quality: 50, effort: 4 },
+  webp: { quality: 80 },
+  jpeg: { quality: 82, progressive: true, mozjpeg: true },
+};
+
+// Inline placeholders are blurred by CSS, so a few hundred bytes is plenty
+export const PLACEHOLDER_WIDTH = 16;
+const PLACEHOLDER_QUALITY = 40;
+
+// Originals, thumbnails and variants are rewritten in place when an image
+// is replaced or regenerated, so caches keep them for a day, not forever
+export const CACHE_CONTROL = 'public, max-age=86400';
+
+/**
+ * Generate a thumbnail from an image buffer or file path.
+ */
+export async function generateThumbnail(input) {
+  return sharp(input)
+    .resize(THUMB_WIDTH, null, { withoutEnlargement: true })
+    .jpeg({ quality: THUMB_QUALITY, progressive: true })
+    .toBuffer();
+}
+
+/**
+ * Generate the blur-up placeholder for an image as a base64 WebP data URI,
+ * small enough to embed in the page instead of fetching the thumbnail.
+ * Works from the original or its thumbnail (a buffer or file path).
+ */
+export async function generatePlaceholder(input) {
+  const buffer = await sharp(input)
+    .rotate()
+    .resize(PLACEHOLDER_WIDTH, null, { withoutEnlargement: true })
+    .webp({ quality: PLACEHOLDER_QUALITY })
+    .toBuffer();
+  return `data:image/webp;base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * Convert a full image path to its thumbnail path.
+ * projects/slug/full/01.jpg -> projects/slug/thumb/01.jpg
+ * gallery/full/001.jpg -> gallery/thumb/001.jpg
+ */
+export function toThumbKey(key) {
+  return key.replace('/full/', '/thumb/');
+}
+
+/**
+ * Encode every width × format variant of an original. The original is
+ * decoded once (with EXIF orientation applied) at the largest width, and
+ * each variant is resized from that. `input` is a buffer or file path.
+ * Yields { width, format, buffer }.
+ */
+export async function* generateVariants(input, widths, formats) {
+  if (widths.length === 0 || formats.length === 0) return;
+  const largest = Math.max(...widths);
+  const { data, info } = await sharp(input)
+    .rotate()
+    .resize(largest, null, { withoutEnlargement: true })
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  for (const width of widths) {
+    for (const format of formats) {
+      const image = sharp(data, { raw: info }).resize(width, null, { withoutEnlargement: true });
+      yield { width, format, buffer: await image[format](VARIANT_SETTINGS[format]).toBuffer() };
+    }
+  }
+}
+
+/**
+ * The settings behind a thumbnail and its variants in `formats`, as
+ * recorded in the generate-thumbnails manifest. Changing any value here
+ * makes the next run regenerate the derivatives it affects.
+ */
+export function derivativeSettings(formats = []) {
+  return {
+    thumb: { width: THUMB_WIDTH, quality: THUMB_QUALITY },
+    ...Object.fromEntries(formats.map(format => [format, VARIANT_SETTINGS[format]])),
+  };
+}
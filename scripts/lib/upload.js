@@ -0,0 +1,75 @@
+/**
+ * Upload a folder of originals to storage (see storage.js) as a project's
+ * images.
+ *
+ * Files are taken in natural filename order and renamed 01.jpg, 02.jpg, …
+ * GPS data is removed before upload, every original gets its thumbnail in
+ * the same pass, and both are stored with their content type and the
+ * cache header used for all R2 assets.
+ */
+
+import { readFile } from 'fs/promises';
+import { extname } from 'path';
+import { CONTENT_TYPES, listLocalImages, normalizeNames, stripGps } from './local-images.js';
+import { CACHE_CONTROL, generateThumbnail, toThumbKey } from './thumbnails.js';
+
+/**
+ * List every object key under a prefix.
+ */
+async function listKeys(storage, prefix) {
+  return (await storage.list(prefix)).map(obj => obj.key);
+}
+
+/**
+ * Upload the images in `dir` to projects/<slug>/full/ with thumbnails in
+ * projects/<slug>/thumb/. Refuses to touch a project that already has
+ * images unless `replace` is set, in which case objects that the new set
+ * does not overwrite are deleted once every new image is uploaded, so a
+ * failed upload leaves the old images in place. With `dryRun`, only prints
+ * the plan. A project already in projects.json has to be pointed at the
+ * returned filenames afterwards (see upload-project.js).
+ *
+ * Returns [{ name, filename, key, stripped }] in upload order.
+ */
+export async function uploadProjectImages(storage, slug, dir, { replace = false, dryRun = false } = {}) {
+  const files = normalizeNames(await listLocalImages(dir));
+  if (files.length === 0) {
+    throw new Error(`No images (${Object.keys(CONTENT_TYPES).join(', ')}) found in ${dir}`);
+  }
+
+  const existing = [
+    ...await listKeys(storage, `projects/${slug}/full/`),
+    ...await listKeys(storage, `projects/${slug}/thumb/`),
+  ];
+  if (existing.length > 0 && !replace) {
+    throw new Error(`projects/${slug}/ already has ${existing.length} objects in ${storage.location} (pass --replace to overwrite them)`);
+  }
+
+  const plan = files.map(file => ({ ...file, key: `projects/${slug}/full/${file.filename}` }));
+
+  console.log(`Uploading ${plan.length} images from ${dir} to projects/${slug}/full/`);
+  plan.forEach(item => console.log(`  ${item.name} -> ${item.filename}`));
+
+  if (dryRun) return plan.map(item => ({ ...item, stripped: false }));
+
+  const results = [];
+  for (const item of plan) {
+    const ext = extname(item.filename);
+    const { buffer, stripped } = await stripGps(await readFile(item.path), ext);
+    const thumb = await generateThumbnail(buffer);
+
+    await storage.put(item.key, buffer, { contentType: CONTENT_TYPES[ext], cacheControl: CACHE_CONTROL });
+    await storage.put(toThumbKey(item.key), thumb, { contentType: 'image/jpeg', cacheControl: CACHE_CONTROL });
+
+    const note = stripped ? ', GPS removed' : '';
+    console.log(`  DONE: ${item.key} (${Math.round(buffer.length / 1024)}KB, thumb ${Math.round(thumb.length / 1024)}KB${note})`);
+    results.push({ ...item, stripped });
+  }
+
+  const keep = new Set(plan.flatMap(item => [item.key, toThumbKey(item.key)]));
+  const stale = existing.filter(key => !keep.has(key));
+  await storage.remove(stale);
+  if (stale.length > 0) console.log(`  Deleted ${stale.length} old objects`);
+
+  return results;
+}
@@ -0,0 +1,241 @@
+/**
+ * Data validation — JSON Schema checks plus cross-file consistency rules
+ * for data/projects.json, data/cv.json and data/gallery-tags.json.
+ *
+ * Every check returns problems as { level, file, message } where level is
+ * 'error' (the build or site is wrong) or 'warn' (data worth fixing).
+ * Nothing here touches the network.
+ */
+
+import { readFile } from 'fs/promises';
+import Ajv from 'ajv';
+import { validateSections } from './projects.js';
+import { largestVariantPath } from './variants.js';
+
+export const DATA_FILES = {
+  projects: { path: 'data/projects.json', schema: 'data/schemas/projects.schema.json' },
+  cv: { path: 'data/cv.json', schema: 'data/schemas/cv.schema.json' },
+  galleryTags: { path: 'data/gallery-tags.json', schema: 'data/schemas/gallery-tags.schema.json' },
+};
+
+// Dimensions add-project.js used to write when it could not read the original
+export const PLACEHOLDER_SIZE = { width: 1200, height: 900 };
+
+async function readJson(path) {
+  return JSON.parse(await readFile(path, 'utf-8'));
+}
+
+/**
+ * Load every data file and its schema. A file that fails to parse is
+ * reported as an error and returned as null.
+ */
+export async function loadData() {
+  const data = {};
+  const problems = [];
+
+  for (const [name, { path, schema }] of Object.entries(DATA_FILES)) {
+    try {
+      data[name] = { path, value: await readJson(path), schema: await readJson(schema) };
+    } catch (err) {
+      problems.push({ level: 'error', file: path, message: `cannot be read: ${err.message}` });
+      data[name] = null;
+    }
+  }
+
+  return { data, problems };
+}
+
+/**
+ * Validate each loaded file against its JSON Schema.
+ */
+export function checkSchemas(data) {
+  const ajv = new Ajv({ allErrors: true });
+  const problems = [];
+
+  for (const entry of Object.values(data)) {
+    if (!entry) continue;
+    const validate = ajv.compile(entry.schema);
+    if (validate(entry.value)) continue;
+    for (const err of validate.errors) {
+      problems.push({
+        level: 'error',
+        file: entry.path,
+        message: `${err.instancePath || '/'} ${err.message}`,
+      });
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Report values that appear more than once.
+ */
+function findDuplicates(values) {
+  const seen = new Set();
+  const dupes = new Set();
+  values.forEach(v => (seen.has(v) ? dupes.add(v) : seen.add(v)));
+  return [...dupes];
+}
+
+/**
+ * Cross-entry rules for projects.json: unique slugs, a consistent
+ * prev/next chain, resolvable sections, thumbs, tags and dimensions.
+ */
+export function checkProjects(projects, knownTags, file = DATA_FILES.projects.path) {
+  const problems = [];
+  const error = message => problems.push({ level: 'error', file, message });
+  const warn = message => problems.push({ level: 'warn', file, message });
+
+  findDuplicates(projects.map(p => p.slug)).forEach(slug => error(`duplicate slug "${slug}"`));
+  findDuplicates(projects.map(p => p.id)).forEach(id => error(`duplicate id "${id}"`));
+  findDuplicates(projects.map(p => p.order)).forEach(order => error(`duplicate order ${order}`));
+
+  const ordered = [...projects].sort((a, b) => a.order - b.order);
+  const slugs = new Set(projects.map(p => p.slug));
+
+  ordered.forEach((project, i) => {
+    const { slug } = project;
+    const expectedPrev = i > 0 ? ordered[i - 1].slug : null;
+    const expectedNext = i < ordered.length - 1 ? ordered[i + 1].slug : null;
+
+    if (project.id !== slug) warn(`${slug}: id "${project.id}" differs from slug`);
+
+    for (const [field, expected] of [['prev', expectedPrev], ['next', expectedNext]]) {
+      const actual = project[field];
+      if (actual !== null && !slugs.has(actual)) {
+        error(`${slug}: ${field} "${actual}" is not a project`);
+      } else if (actual !== expected) {
+        error(`${slug}: ${field} is ${JSON.stringify(actual)}, order says ${JSON.stringify(expected)}`);
+      }
+    }
+
+    validateSections(project).forEach(message => error(message));
+
+    const latest = (project.descriptionHistory || []).at(-1);
+    if (latest && latest.description !== project.description) {
+      warn(`${slug}: description differs from the latest descriptionHistory entry (edit with edit-project)`);
+    }
+
+    if (project.thumbnailImage !== project.coverImage.replace('/full/', '/thumb/')) {
+      error(`${slug}: thumbnailImage does not match coverImage`);
+    }
+
+    findDuplicates(project.images.map(img => img.src))
+      .forEach(src => error(`${slug}: image ${src} is listed twice`));
+
+    project.images.forEach(img => {
+      if (!img.src.startsWith(`/projects/${slug}/full/`)) {
+        warn(`${slug}: ${img.src} is outside /projects/${slug}/full/`);
+      }
+      if (!img.thumb) {
+        error(`${slug}: ${img.src} has no thumb`);
+      } else if (img.thumb !== img.src.replace('/full/', '/thumb/')) {
+        error(`${slug}: thumb ${img.thumb} does not match ${img.src}`);
+      }
+      if (img.width === PLACEHOLDER_SIZE.width && img.height === PLACEHOLDER_SIZE.height) {
+        warn(`${slug}: ${img.src} has placeholder dimensions ${img.width}×${img.height} (add-project --backfill ${slug})`);
+      }
+    });
+
+    if (project.images.length === 0) warn(`${slug}: no images`);
+
+    (project.tags || [])
+      .filter(tag => knownTags && !knownTags.has(tag))
+      .forEach(tag => error(`${slug}: tag "${tag}" is not in gallery-tags.json`));
+  });
+
+  return problems;
+}
+
+/**
+ * Image tags in gallery-tags.json must come from its own tag list.
+ */
+export function checkGalleryTags(galleryTags, file = DATA_FILES.galleryTags.path) {
+  const problems = [];
+  const known = new Set(galleryTags.tags);
+
+  findDuplicates(galleryTags.images.map(img => img.id))
+    .forEach(id => problems.push({ level: 'error', file, message: `duplicate image id "${id}"` }));
+
+  galleryTags.images.forEach(img => {
+    (img.tags || []).filter(tag => !known.has(tag)).forEach(tag => {
+      problems.push({ level: 'error', file, message: `${img.id}: tag "${tag}" is not in "tags"` });
+    });
+  });
+
+  return problems;
+}
+
+/**
+ * Compare the width/height written into each built project page with
+ * projects.json, so stale pages (or hand edits) are caught before deploy.
+ */
+export async function checkPageDimensions(projects) {
+  const problems = [];
+  const pattern = /data-src="([^"]+)"(?:\s+data-srcset="[^"]*" sizes="[^"]*")?\s+alt="[^"]*"\s+width="(\d+)" height="(\d+)"/g;
+
+  for (const project of projects) {
+    const file = `projects/${project.slug}.html`;
+    const html = await readFile(file, 'utf-8').catch(() => null);
+
+    if (html === null) {
+      problems.push({ level: 'error', file, message: 'missing — run npm run build' });
+      continue;
+    }
+
+    // Images with variants are referenced by their largest variant
+    const bySrc = new Map(project.images.map(img => [
+      img.widths && img.formats ? largestVariantPath(img) : img.src,
+      img,
+    ]));
+    const reported = new Set();
+
+    for (const [, src, width, height] of html.matchAll(pattern)) {
+      if (reported.has(src)) continue;
+
+      const img = bySrc.get(src);
+      let message = null;
+      if (!img) {
+        message = `${src} is not in projects.json`;
+      } else if (Number(width) !== img.width || Number(height) !== img.height) {
+        message = `${src} is ${width}×${height} on the page but ${img.width}×${img.height} in projects.json`;
+      }
+
+      if (message) {
+        reported.add(src);
+        problems.push({ level: 'error', file, message: `${message} — run npm run build` });
+      }
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Run every check. Schema errors short-circuit the cross-file rules for
+ * that file, since they assume the documented shape.
+ */
+export async function validateData() {
+  const { data, problems } = await loadData();
+  const schemaProblems = checkSchemas(data);
+  problems.push(...schemaProblems);
+
+  const schemaFailed = path => schemaProblems.some(p => p.file === path);
+  const galleryTags = data.galleryTags && !schemaFailed(data.galleryTags.path)
+    ? data.galleryTags.value
+    : null;
+
+  if (galleryTags) {
+    problems.push(...checkGalleryTags(galleryTags));
+  }
+
+  if (data.projects && !schemaFailed(data.projects.path)) {
+    const projects = data.projects.value;
+    const knownTags = galleryTags ? new Set(galleryTags.tags) : null;
+    problems.push(...checkProjects(projects, knownTags));
+    problems.push(...await checkPageDimensions(projects));
+  }
+
+  return problems;
+}
@@ -0,0 +1,81 @@
+/**
+ * Responsive variants — the ladder of resized copies generated for every
+ * project original, and where they live in R2.
+ *
+ *   /projects/<slug>/full/01.jpg  ->  /projects/<slug>/sizes/01-800.avif
+ *                                     /projects/<slug>/sizes/01-800.webp
+ *                                     /projects/<slug>/sizes/01-800.jpg  …
+ *
+ * Each image in projects.json records the `widths` and `formats` that were
+ * generated for it; the page templates build srcset/<picture> from those.
+ */
+
+export const DEFAULT_WIDTHS = [400, 800, 1600, 2400, 3200];
+export const DEFAULT_FORMATS = ['avif', 'webp', 'jpeg'];
+
+export const FORMAT_TYPES = {
+  avif: 'image/avif',
+  webp: 'image/webp',
+  jpeg: 'image/jpeg',
+};
+
+const FORMAT_EXTENSIONS = { avif: 'avif', webp: 'webp', jpeg: 'jpg' };
+
+/**
+ * Widths to generate for an original `width` pixels wide. Rungs wider than
+ * the original are replaced by a single variant at the original width, so
+ * nothing is ever enlarged.
+ */
+export function ladderFor(ladder, width) {
+  const rungs = ladder.filter(w => w < width);
+  if (rungs.length < ladder.length) rungs.push(width);
+  return rungs;
+}
+
+/**
+ * Path of one variant of an original, e.g.
+ * variantPath('/projects/a/full/01.jpg', 800, 'webp') -> '/projects/a/sizes/01-800.webp'
+ */
+export function variantPath(src, width, format) {
+  const base = src.replace('/full/', '/sizes/').replace(/\.[^./]+$/, '');
+  return `${base}-${width}.${FORMAT_EXTENSIONS[format]}`;
+}
+
+/**
+ * The format served to browsers that ignore <source>: JPEG when it was
+ * generated, otherwise the last format in the list.
+ */
+export function fallbackFormat(formats) {
+  return formats.includes('jpeg') ? 'jpeg' : formats[formats.length - 1];
+}
+
+/**
+ * Path of the largest fallback-format variant of an image record, which
+ * pages use in place of the original.
+ */
+export function largestVariantPath(img) {
+  return variantPath(img.src, img.widths[img.widths.length - 1], fallbackFormat(img.formats));
+}
+
+/**
+ * Parse a comma-separated list of widths, e.g. "400,800,1600".
+ */
+export function parseWidths(value) {
+  const widths = value.split(',').map(w => Number(w.trim()));
+  if (widths.some(w => !Number.isInteger(w) || w <= 0)) {
+    throw new Error(`Invalid widths "${value}" (use e.g. 400,800,1600)`);
+  }
+  return [...new Set(widths)].sort((a, b) => a - b);
+}
+
+/**
+ * Parse a comma-separated list of formats, e.g. "avif,webp,jpeg".
+ */
+export function parseFormats(value) {
+  const formats = value.split(',').map(f => f.trim().toLowerCase().replace(/^jpg$/, 'jpeg'));
+  const unknown = formats.filter(f => !FORMAT_TYPES[f]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown format "${unknown[0]}" (use ${Object.keys(FORMAT_TYPES).join(', ')})`);
+  }
+  return [...new Set(formats)];
+}
@@ -0,0 +1,66 @@
+/**
+ * Move Project
+ *
+ * Changes a project's place in the work order. Renumbers `order`, rewires
+ * prev/next on the old and new neighbours, and rebuilds the affected pages,
+ * the home page cards and the sitemap.
+ *
+ * Usage:
+ *   node scripts/move-project.js <slug> --before <other-slug> [--dry-run]
+ *   node scripts/move-project.js <slug> --after <other-slug> [--dry-run]
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { readProjects, linkProjects, findProject } from './lib/projects.js';
+import { applyProjectChanges } from './lib/build.js';
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: {
+      before: { type: 'string' },
+      after: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+
+  const slug = positionals[0];
+  const anchorSlug = options.before || options.after;
+
+  if (!slug || !anchorSlug || (options.before && options.after)) {
+    console.log('Usage:');
+    console.log('  node scripts/move-project.js <slug> --before <other-slug> [--dry-run]');
+    console.log('  node scripts/move-project.js <slug> --after <other-slug> [--dry-run]');
+    process.exit(1);
+  }
+
+  const projects = await readProjects();
+  const project = findProject(projects, slug);
+  const anchor = findProject(projects, anchorSlug);
+
+  if (!project) throw new Error(`No project with slug "${slug}" in data/projects.json`);
+  if (!anchor) throw new Error(`No project with slug "${anchorSlug}" in data/projects.json`);
+  if (project === anchor) throw new Error('A project cannot be moved relative to itself');
+
+  console.log(`=== Move Project: ${slug} ${options.before ? 'before' : 'after'} ${anchorSlug} ===\n`);
+
+  projects.splice(projects.indexOf(project), 1);
+  const anchorIndex = projects.indexOf(anchor);
+  projects.splice(options.before ? anchorIndex : anchorIndex + 1, 0, project);
+  linkProjects(projects);
+
+  console.log('New order:');
+  projects.forEach(p => console.log(`  ${String(p.order).padStart(2)}  ${p.slug}`));
+  console.log('');
+
+  await applyProjectChanges(projects, { dryRun: options['dry-run'] });
+}
+
+main().catch((err) => {
+  console.error('Error:', err);
+  process.exit(1);
+});
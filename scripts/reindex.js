@@ -0,0 +1,73 @@
+/**
+ * Reindex
+ *
+ * Rebuilds the gallery-search index for project images from
+ * data/projects.json: every image is embedded with its alt text, caption,
+ * project tags and piece section, and upserted by id, so running it again
+ * is safe. New uploads are indexed automatically by the worker; use this
+ * after editing text in projects.json, or to fill a fresh index.
+ *
+ * Requires SEARCH_ADMIN_TOKEN (the worker's ADMIN_TOKEN secret).
+ *
+ * Usage:
+ *   node scripts/reindex.js [--project <slug>] [--dry-run]
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { readProjects, findProject } from './lib/projects.js';
+import { toSearchRecords } from './lib/search-records.js';
+import { SEARCH_ENDPOINT, adminRequest } from './lib/search-api.js';
+
+// Images per /index-batch request
+const BATCH_SIZE = 50;
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  const { values: options } = parseArgs({
+    options: {
+      project: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+    },
+  });
+
+  console.log('=== Reindex ===');
+  console.log(`Endpoint: ${SEARCH_ENDPOINT}\n`);
+
+  const projects = await readProjects();
+  let selected = projects;
+  if (options.project) {
+    const project = findProject(projects, options.project);
+    if (!project) {
+      console.error(`Error: No project with slug "${options.project}"`);
+      process.exit(1);
+    }
+    selected = [project];
+  }
+
+  const records = selected.flatMap(toSearchRecords);
+  console.log(`Projects: ${selected.length}`);
+  console.log(`Images:   ${records.length}`);
+
+  if (options['dry-run']) {
+    console.log('\nDry run: nothing was indexed');
+    return;
+  }
+
+  let indexed = 0;
+  for (let i = 0; i < records.length; i += BATCH_SIZE) {
+    const result = await adminRequest('POST', '/index-batch', { images: records.slice(i, i + BATCH_SIZE) });
+    indexed += result.indexed;
+    console.log(`  Indexed ${indexed}/${records.length}`);
+  }
+
+  console.log('\n=== Summary ===');
+  console.log(`  Indexed: ${indexed} images`);
+}
+
+main().catch((err) => {
+  console.error('Error:', err);
+  process.exit(1);
+});
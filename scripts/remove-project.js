@@ -0,0 +1,138 @@
+/**
+ * Remove Project
+ *
+ * Deletes a project from data/projects.json, removes its page, rewires
+ * prev/next on its neighbours and rebuilds the home page and sitemap.
+ *
+ * Images in R2 (or the STORAGE=fs:<dir> directory) are left alone unless
+ * --archive is passed, which moves every object under projects/<slug>/ to
+ * archive/projects/<slug>/.
+ *
+ * The project's images are also removed from the gallery-search index
+ * (needs SEARCH_ADMIN_TOKEN); if the worker cannot be reached the project is
+ * still removed, and the command to retry is printed.
+ *
+ * Usage:
+ *   node scripts/remove-project.js <slug> [--archive] [--yes] [--dry-run]
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { readProjects, linkProjects, findProject } from './lib/projects.js';
+import { applyProjectChanges } from './lib/build.js';
+import { createPrompt } from './lib/prompt.js';
+import { createStorage } from './lib/storage.js';
+import { toSearchRecords } from './lib/search-records.js';
+import { adminRequest } from './lib/search-api.js';
+
+const ARCHIVE_PREFIX = 'archive/';
+
+const storage = createStorage();
+
+/**
+ * Move a project's stored objects under archive/. Copies everything first
+ * and only deletes the originals once every copy has succeeded.
+ */
+async function archiveProjectImages(slug, { dryRun }) {
+  const keys = (await storage.list(`projects/${slug}/`)).map(obj => obj.key);
+  console.log(`\nArchiving ${keys.length} objects to ${ARCHIVE_PREFIX}projects/${slug}/`);
+
+  if (dryRun || keys.length === 0) return keys.length;
+
+  for (const key of keys) {
+    await storage.copy(key, `${ARCHIVE_PREFIX}${key}`);
+  }
+  await storage.remove(keys);
+
+  return keys.length;
+}
+
+/**
+ * Remove a project's images from the gallery-search index. Returns the
+ * number removed, or null when the worker could not be updated.
+ */
+async function removeFromSearch(project, { dryRun }) {
+  const ids = toSearchRecords(project).map(record => record.id);
+  console.log(`\nRemoving ${ids.length} images from search`);
+
+  if (dryRun || ids.length === 0) return ids.length;
+
+  try {
+    const result = await adminRequest('POST', '/delete-batch', { ids });
+    return result.deleted;
+  } catch (err) {
+    console.warn(`  Warning: ${err.message}`);
+    console.warn(`  Retry with: npm run search-index -- delete ${ids.join(' ')}`);
+    return null;
+  }
+}
+
+/**
+ * Ask for confirmation before removing anything.
+ */
+async function confirm(question) {
+  const prompt = createPrompt();
+  try {
+    return (await prompt.ask(question)).toLowerCase() === 'y';
+  } finally {
+    prompt.close();
+  }
+}
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: {
+      archive: { type: 'boolean' },
+      yes: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+
+  const slug = positionals[0];
+  const dryRun = options['dry-run'];
+
+  if (!slug) {
+    console.log('Usage:');
+    console.log('  node scripts/remove-project.js <slug> [--archive] [--yes] [--dry-run]');
+    process.exit(1);
+  }
+
+  const projects = await readProjects();
+  const project = findProject(projects, slug);
+  if (!project) {
+    throw new Error(`No project with slug "${slug}" in data/projects.json`);
+  }
+
+  console.log(`=== Remove Project: ${project.title} (${slug}) ===\n`);
+
+  if (!dryRun && !options.yes) {
+    const what = options.archive ? 'and archive its images' : '(images stay in R2)';
+    if (!await confirm(`Remove ${slug} ${what}? (y/N): `)) {
+      console.log('Cancelled.');
+      return;
+    }
+  }
+
+  projects.splice(projects.indexOf(project), 1);
+  linkProjects(projects);
+
+  await applyProjectChanges(projects, { dryRun, remove: [`projects/${slug}.html`] });
+
+  const archived = options.archive ? await archiveProjectImages(slug, { dryRun }) : 0;
+  const unindexed = await removeFromSearch(project, { dryRun });
+
+  console.log('\n=== Summary ===');
+  console.log(`  Removed:  ${slug}`);
+  console.log(`  Archived: ${options.archive ? `${archived} objects` : 'no (images left in R2)'}`);
+  console.log(`  Search:   ${unindexed === null ? 'not updated (see warning above)' : `${unindexed} images removed`}`);
+  if (dryRun) console.log('  Dry run:  nothing was changed');
+}
+
+main().catch((err) => {
+  console.error('Error:', err);
+  process.exit(1);
+});
@@ -0,0 +1,142 @@
+/**
+ * Search Index
+ *
+ * Removes images from the gallery-search index or updates their metadata,
+ * so retired work stops appearing in search. Updating tags keeps the
+ * stored embedding; changing alt or caption re-embeds the image.
+ *
+ * `backfill` copies images indexed before the worker kept a catalog into
+ * it, so /tags and /images list them: every project image in
+ * data/projects.json and every gallery image in data/gallery-tags.json.
+ *
+ * Requires SEARCH_ADMIN_TOKEN (the worker's ADMIN_TOKEN secret).
+ *
+ * Usage:
+ *   node scripts/search-index.js delete <id>... [--dry-run]
+ *   node scripts/search-index.js delete --project <slug> [--dry-run]
+ *   node scripts/search-index.js update <id> [--tags a,b] [--alt <text>] [--caption <text>]
+ *   node scripts/search-index.js backfill
+ *
+ * Ids are "<slug>/<file>" for project images and "gallery-<name>" for
+ * gallery images.
+ */
+
+import 'dotenv/config';
+import { readFile } from 'fs/promises';
+import { parseArgs } from 'util';
+import { readProjects, findProject } from './lib/projects.js';
+import { toSearchRecords } from './lib/search-records.js';
+import { SEARCH_ENDPOINT, adminRequest } from './lib/search-api.js';
+
+function usage() {
+  console.log('Usage:');
+  console.log('  node scripts/search-index.js delete <id>... [--dry-run]');
+  console.log('  node scripts/search-index.js delete --project <slug> [--dry-run]');
+  console.log('  node scripts/search-index.js update <id> [--tags a,b] [--alt <text>] [--caption <text>]');
+  console.log('  node scripts/search-index.js backfill');
+  process.exit(1);
+}
+
+/**
+ * Remove images by id, or every image of a project in data/projects.json.
+ */
+async function deleteImages(ids, options) {
+  if (options.project) {
+    const project = findProject(await readProjects(), options.project);
+    if (!project) {
+      throw new Error(`No project with slug "${options.project}" in data/projects.json`);
+    }
+    ids = [...ids, ...toSearchRecords(project).map(record => record.id)];
+  }
+  if (ids.length === 0) usage();
+
+  ids.forEach(id => console.log(`  ${id}`));
+
+  if (options['dry-run']) {
+    console.log(`\nDry run: ${ids.length} images would be removed`);
+    return;
+  }
+
+  const result = ids.length === 1
+    ? await adminRequest('DELETE', `/images/${encodeURIComponent(ids[0])}`)
+    : await adminRequest('POST', '/delete-batch', { ids });
+
+  console.log(`\nRemoved ${result.deleted ?? 1} images from the index.`);
+}
+
+/**
+ * Update one image's tags, alt text or caption.
+ */
+async function updateImage(ids, options) {
+  if (ids.length !== 1) usage();
+
+  const changes = {};
+  if (options.tags !== undefined) changes.tags = options.tags.split(',').map(t => t.trim()).filter(Boolean);
+  if (options.alt !== undefined) changes.alt = options.alt;
+  if (options.caption !== undefined) changes.caption = options.caption;
+  if (Object.keys(changes).length === 0) usage();
+
+  const result = await adminRequest('PATCH', `/images/${encodeURIComponent(ids[0])}`, changes);
+  console.log(`Updated ${result.id}${result.reembedded ? ' (re-embedded)' : ''}.`);
+}
+
+/**
+ * Copy every known image that is already in the index into the catalog.
+ */
+async function backfillCatalog() {
+  const projectIds = (await readProjects()).flatMap(toSearchRecords).map(record => record.id);
+  const { images } = JSON.parse(await readFile('data/gallery-tags.json', 'utf-8'));
+  const galleryIds = images.map(img => img.id).filter(id => id.startsWith('gallery-'));
+  const ids = [...new Set([...projectIds, ...galleryIds])];
+
+  console.log(`Images: ${ids.length} (${projectIds.length} project, ${galleryIds.length} gallery)`);
+
+  let copied = 0;
+  const missing = [];
+  for (let i = 0; i < ids.length; i += 100) {
+    const result = await adminRequest('POST', '/catalog-backfill', { ids: ids.slice(i, i + 100) });
+    copied += result.copied;
+    missing.push(...result.missing);
+  }
+
+  console.log(`\nCopied ${copied} images into the catalog.`);
+  if (missing.length > 0) {
+    console.log(`Not in the index (${missing.length}): ${missing.join(', ')}`);
+    console.log('Run npm run reindex to index project images.');
+  }
+}
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: {
+      project: { type: 'string' },
+      tags: { type: 'string' },
+      alt: { type: 'string' },
+      caption: { type: 'string' },
+      'dry-run': { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+
+  const [command, ...ids] = positionals;
+  if (!['delete', 'update', 'backfill'].includes(command)) usage();
+
+  console.log(`=== Search Index: ${command} ===`);
+  console.log(`Endpoint: ${SEARCH_ENDPOINT}\n`);
+
+  if (command === 'delete') {
+    await deleteImages(ids, options);
+  } else if (command === 'update') {
+    await updateImage(ids, options);
+  } else {
+    await backfillCatalog();
+  }
+}
+
+main().catch((err) => {
+  console.error('Error:', err);
+  process.exit(1);
+});
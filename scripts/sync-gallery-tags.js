@@ -5,6 +5,10 @@
  * Cloudflare Worker and writes them to data/gallery-tags.json
  * for the static site fallback.
  *
+ * The catalog's ETag is kept in the file; when the worker answers 304 for
+ * it nothing has changed and the file is left alone, so this is cheap to
+ * run on a schedule.
+ *
  * Usage:
  *   node scripts/sync-gallery-tags.js
  */
@@ -12,29 +16,61 @@
 import 'dotenv/config';
 import { writeFile, readFile } from 'fs/promises';
 
+const OUTPUT_PATH = 'data/gallery-tags.json';
+
 // Read the search endpoint from config or env
 const SEARCH_ENDPOINT = process.env.SEARCH_ENDPOINT || 'https://gallery-search.beckandersen.workers.dev';
 
 /**
- * Fetch tags from the gallery-search Worker.
+ * Fetch tags with their counts from the gallery-search Worker. Returns null
+ * when the catalog still has version `etag`.
  */
-async function fetchTags() {
-  const response = await fetch(`${SEARCH_ENDPOINT}/tags`);
+async function fetchTags(etag) {
+  const response = await fetch(`${SEARCH_ENDPOINT}/tags`, {
+    headers: etag ? { 'If-None-Match': etag } : {},
+  });
+  if (response.status === 304) return null;
   if (!response.ok) {
     throw new Error(`Failed to fetch tags: ${response.status} ${response.statusText}`);
   }
-  return response.json();
+  return { tags: await response.json(), etag: response.headers.get('ETag') };
 }
 
 /**
- * Fetch all indexed images from the gallery-search Worker.
+ * Fetch all indexed images from the gallery-search Worker, a page at a
+ * time. Every page must come from catalog version `etag`, so a sync never
+ * mixes images from before and after an update.
  */
-async function fetchImages() {
-  const response = await fetch(`${SEARCH_ENDPOINT}/images`);
-  if (!response.ok) {
-    throw new Error(`Failed to fetch images: ${response.status} ${response.statusText}`);
+async function fetchImages(etag) {
+  const images = [];
+  let cursor = '';
+
+  do {
+    const url = `${SEARCH_ENDPOINT}/images?limit=500${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`;
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Failed to fetch images: ${response.status} ${response.statusText}`);
+    }
+    if (etag && response.headers.get('ETag') !== etag) {
+      throw new Error('The catalog changed during the sync; run it again');
+    }
+    const page = await response.json();
+    images.push(...page.images);
+    cursor = page.cursor;
+  } while (cursor);
+
+  return images;
+}
+
+/**
+ * The ETag recorded by the last sync, if any.
+ */
+async function readSyncedEtag() {
+  try {
+    return JSON.parse(await readFile(OUTPUT_PATH, 'utf-8')).etag || null;
+  } catch {
+    return null;
   }
-  return response.json();
 }
 
 /**
@@ -45,32 +81,31 @@ async function main() {
   console.log(`Endpoint: ${SEARCH_ENDPOINT}\n`);
 
   try {
-    // Fetch tags
+    // Fetch tags, unless nothing changed since the last sync
     console.log('Fetching tags...');
-    const tags = await fetchTags();
+    const result = await fetchTags(await readSyncedEtag());
+    if (!result) {
+      console.log(`  Up to date; ${OUTPUT_PATH} is unchanged.`);
+      return;
+    }
+    const { tags, etag } = result;
     console.log(`  Found ${tags.length} tags.`);
 
-    // Try to fetch image metadata
-    let images = [];
-    try {
-      console.log('Fetching image metadata...');
-      images = await fetchImages();
-      console.log(`  Found ${images.length} images.`);
-    } catch (err) {
-      console.log(`  Image metadata endpoint not available: ${err.message}`);
-      console.log('  Proceeding with tags only.');
-    }
+    console.log('Fetching image metadata...');
+    const images = await fetchImages(etag);
+    console.log(`  Found ${images.length} images.`);
 
     // Write to gallery-tags.json
     const data = {
-      tags: tags.sort(),
+      tags: tags.map(t => t.tag).sort(),
       images,
+      etag,
       lastSynced: new Date().toISOString(),
     };
 
-    await writeFile('data/gallery-tags.json', JSON.stringify(data, null, 2));
-    console.log('\nWritten to: data/gallery-tags.json');
-    console.log(`  Tags: ${data.tags.join(', ')}`);
+    await writeFile(OUTPUT_PATH, JSON.stringify(data, null, 2));
+    console.log(`\nWritten to: ${OUTPUT_PATH}`);
+    console.log(`  Tags: ${tags.map(t => `${t.tag} (${t.count})`).join(', ')}`);
     console.log(`  Images: ${data.images.length}`);
     console.log(`  Synced at: ${data.lastSynced}`);
   } catch (err) {
@@ -0,0 +1,94 @@
+/**
+ * Upload Project
+ *
+ * Uploads a local folder of originals to R2 (or the local directory set by
+ * STORAGE=fs:<dir>) as a project's images: removes
+ * GPS location data, renames them 01.jpg, 02.jpg, … in natural filename
+ * order, and uploads each original with its thumbnail.
+ *
+ * When the project is already in data/projects.json, its `images` are
+ * rewritten to the uploaded names and the site is rebuilt, so the pages
+ * never point at originals --replace deleted. The new images start with
+ * placeholder dimensions until `add-project --backfill` reads them. A
+ * replacement that would leave sections or mainGallery pointing past the
+ * last image is refused before anything is uploaded.
+ *
+ * To upload and create the project page in one run, use
+ * `npm run add-project -- --from <dir>` instead.
+ *
+ * Usage:
+ *   node scripts/upload-project.js <slug> --from <dir> [--replace] [--dry-run]
+ */
+
+import 'dotenv/config';
+import { parseArgs } from 'util';
+import { readProjects, findProject, replaceImages, validateSections } from './lib/projects.js';
+import { applyProjectChanges } from './lib/build.js';
+import { uploadProjectImages } from './lib/upload.js';
+import { listLocalImages, normalizeNames } from './lib/local-images.js';
+import { createStorage } from './lib/storage.js';
+
+const storage = createStorage();
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  const { values: options, positionals } = parseArgs({
+    options: {
+      from: { type: 'string' },
+      replace: { type: 'boolean' },
+      'dry-run': { type: 'boolean' },
+    },
+    allowPositionals: true,
+  });
+
+  const slug = positionals[0];
+  if (!slug || !options.from) {
+    console.log('Usage:');
+    console.log('  node scripts/upload-project.js <slug> --from <dir> [--replace] [--dry-run]');
+    process.exit(1);
+  }
+
+  console.log(`=== Upload Project: ${slug} ===`);
+  console.log(`Storage: ${storage.location}\n`);
+
+  // Check the new set fits the project before touching storage
+  const projects = await readProjects();
+  const project = findProject(projects, slug);
+  if (project) {
+    const filenames = normalizeNames(await listLocalImages(options.from)).map(file => file.filename);
+    const errors = validateSections(replaceImages(structuredClone(project), filenames));
+    if (errors.length > 0) {
+      throw new Error(`${filenames.length} images would not fit ${slug}'s sections in data/projects.json:\n  ${errors.join('\n  ')}\n`
+        + 'Upload at least as many images as the sections use, or edit the sections first.');
+    }
+  }
+
+  const results = await uploadProjectImages(storage, slug, options.from, {
+    replace: options.replace,
+    dryRun: options['dry-run'],
+  });
+
+  console.log('\n=== Summary ===');
+  console.log(`  Images:       ${results.length}`);
+  console.log(`  GPS removed:  ${results.filter(r => r.stripped).length}`);
+  if (options['dry-run']) console.log('  Dry run:      nothing was uploaded');
+
+  if (project) {
+    console.log(`\nPointing ${slug} at the uploaded images\n`);
+    replaceImages(project, results.map(r => r.filename));
+    await applyProjectChanges(projects, { dryRun: options['dry-run'] });
+  }
+  if (options['dry-run']) return;
+
+  console.log('\nNext step:');
+  console.log(project
+    ? `  npm run add-project -- --backfill ${slug}   (read dimensions and colours into projects.json)`
+    : `  npm run add-project -- --slug ${slug} ...   (create the project page)`);
+}
+
+main().catch((err) => {
+  console.error('Error:', err);
+  process.exit(1);
+});
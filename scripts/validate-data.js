@@ -0,0 +1,53 @@
+/**
+ * Validate Data
+ *
+ * Checks data/projects.json, data/cv.json and data/gallery-tags.json against
+ * their JSON Schemas (data/schemas/), then cross-checks them: duplicate
+ * slugs, broken prev/next links, section indices, missing thumbs, unknown
+ * tags and image dimensions that disagree with the built pages.
+ *
+ * Runs offline. Exits non-zero when any error is found.
+ *
+ * Usage:
+ *   node scripts/validate-data.js
+ *   node scripts/validate-data.js --strict   (treat warnings as errors)
+ */
+
+import { validateData } from './lib/validate.js';
+
+/**
+ * Main entry point.
+ */
+async function main() {
+  const strict = process.argv.slice(2).includes('--strict');
+
+  console.log('=== Validate Data ===');
+
+  const problems = await validateData();
+  const errors = problems.filter(p => p.level === 'error');
+  const warnings = problems.filter(p => p.level === 'warn');
+
+  const byFile = new Map();
+  for (const problem of problems) {
+    if (!byFile.has(problem.file)) byFile.set(problem.file, []);
+    byFile.get(problem.file).push(problem);
+  }
+
+  for (const [file, fileProblems] of byFile) {
+    console.log(`\n${file}`);
+    fileProblems.forEach(p => console.log(`  ${p.level.toUpperCase()}: ${p.message}`));
+  }
+
+  console.log('\n=== Summary ===');
+  console.log(`  Errors:   ${errors.length}`);
+  console.log(`  Warnings: ${warnings.length}`);
+
+  if (errors.length > 0 || (strict && warnings.length > 0)) {
+    process.exit(1);
+  }
+}
+
+main().catch((err) => {
+  console.error('Fatal error:', err);
+  process.exit(1);
+});
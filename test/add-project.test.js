@@ -0,0 +1,303 @@
+/**
+ * End-to-end tests for scripts/add-project.js in non-interactive mode, and
+ * for scripts/upload-project.js, which shares its upload step.
+ *
+ * Each test copies the site's data and generated files into a temp
+ * directory, runs the script there against the S3 stand-in and the fixture
+ * description provider, and inspects what it wrote. Nothing touches the
+ * network or the working tree.
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { cp, mkdir, mkdtemp, readFile, rm, writeFile, access } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { promisify } from 'util';
+import sharp from 'sharp';
+import { startS3StandIn } from './helpers/s3-stand-in.js';
+import { hasGps } from '../scripts/lib/local-images.js';
+
+const ROOT = resolve(import.meta.dirname, '..');
+const SCRIPT = join(ROOT, 'scripts/add-project.js');
+const UPLOAD_SCRIPT = join(ROOT, 'scripts/upload-project.js');
+const FIXTURE = join(ROOT, 'test/fixtures/describe.json');
+const SITE_FILES = ['data', 'projects', 'index.html', 'sitemap.xml'];
+
+let s3;
+let cwd;
+
+async function jpeg(width, height, background, orientation) {
+  const image = sharp({ create: { width, height, channels: 3, background } }).jpeg();
+  return (orientation ? image.withMetadata({ orientation }) : image).toBuffer();
+}
+
+function run(args, env = {}, script = SCRIPT) {
+  return promisify(execFile)('node', [script, ...args], {
+    cwd,
+    env: {
+      PATH: process.env.PATH,
+      R2_ENDPOINT: s3.endpoint,
+      R2_BUCKET: s3.bucket,
+      R2_ACCESS_KEY_ID: 'test',
+      R2_SECRET_ACCESS_KEY: 'test',
+      DESCRIPTION_PROVIDER: 'fixture',
+      DESCRIPTION_FIXTURE: FIXTURE,
+      ...env,
+    },
+  });
+}
+
+async function readProjectsJson() {
+  return JSON.parse(await readFile(join(cwd, 'data/projects.json'), 'utf-8'));
+}
+
+async function exists(path) {
+  return access(join(cwd, path)).then(() => true, () => false);
+}
+
+before(async () => {
+  s3 = await startS3StandIn({
+    objects: {
+      'projects/tide-tables/full/01.jpg': await jpeg(300, 200, '#204060'),
+      'projects/tide-tables/full/02.jpg': await jpeg(300, 200, '#c0a080', 6),
+    },
+  });
+});
+
+after(async () => {
+  await s3.close();
+});
+
+beforeEach(async (t) => {
+  cwd = await mkdtemp(join(tmpdir(), 'add-project-'));
+  for (const file of SITE_FILES) {
+    await cp(join(ROOT, file), join(cwd, file), { recursive: true });
+  }
+  t.after(() => rm(cwd, { recursive: true, force: true }));
+});
+
+test('adds a project from a manifest with fixture descriptions', async () => {
+  await writeFile(join(cwd, 'tide-tables.yml'), [
+    'slug: tide-tables',
+    'title: Tide Tables',
+    'year: 2025',
+    'medium: Photography',
+    'notes: shoreline at every low tide',
+    'tags: [photography]',
+  ].join('\n'));
+
+  const { stdout } = await run(['--manifest', 'tide-tables.yml']);
+  assert.match(stdout, /Generating description \(fixture\)/);
+
+  const projects = await readProjectsJson();
+  const project = projects.find(p => p.slug === 'tide-tables');
+  const last = projects.find(p => p.order === project.order - 1);
+
+  assert.equal(project.order, projects.length - 1);
+  assert.equal(project.prev, last.slug);
+  assert.equal(last.next, 'tide-tables');
+  assert.match(project.description, /^Tide Tables records the same shoreline/);
+  assert.equal(project.descriptionHistory.length, 1);
+  assert.equal(project.descriptionHistory[0].description, project.description);
+  assert.equal(project.descriptionHistory[0].source, 'fixture');
+  assert.deepEqual(project.tags, ['photography']);
+  assert.equal(project.coverImage, '/projects/tide-tables/full/01.jpg');
+
+  const [first, second] = project.images;
+  assert.equal(first.width, 300);
+  assert.equal(first.height, 200);
+  assert.equal(first.alt, 'Wet sand at low tide under a grey sky');
+  assert.equal(first.caption, 'The shoreline, measured by its own retreat.');
+  assert.match(first.dominantColor, /^#[0-9a-f]{6}$/);
+  assert.match(first.placeholder, /^data:image\/webp;base64,/);
+  // EXIF orientation 6 is rotated 90°, so display dimensions swap
+  assert.equal(second.orientation, 6);
+  assert.equal(second.width, 200);
+  assert.equal(second.height, 300);
+
+  const page = await readFile(join(cwd, 'projects/tide-tables.html'), 'utf-8');
+  assert.match(page, /alt="Wet sand at low tide under a grey sky"/);
+  assert.ok(page.includes(`src="${first.placeholder}"`), 'placeholder is embedded inline');
+  assert.match(await readFile(join(cwd, 'index.html'), 'utf-8'), /href="projects\/tide-tables.html"/);
+  assert.match(await readFile(join(cwd, 'sitemap.xml'), 'utf-8'), /projects\/tide-tables.html/);
+});
+
+test('--dry-run prints the diff and writes nothing', async () => {
+  const before = await readFile(join(cwd, 'data/projects.json'), 'utf-8');
+
+  const { stdout } = await run([
+    '--slug', 'tide-tables', '--title', 'Tide Tables', '--year', '2025',
+    '--medium', 'Photography', '--description', 'Written by hand.', '--dry-run',
+  ]);
+
+  assert.match(stdout, /=== Dry run: no files written ===/);
+  assert.match(stdout, /\+\+\+ b\/data\/projects.json/);
+  assert.match(stdout, /\+\+\+ b\/projects\/tide-tables.html/);
+  assert.equal(await readFile(join(cwd, 'data/projects.json'), 'utf-8'), before);
+  assert.equal(await exists('projects/tide-tables.html'), false);
+});
+
+test('the none provider uses notes as written and leaves image text alone', async () => {
+  await run([
+    '--slug', 'tide-tables', '--title', 'Tide Tables', '--year', '2025',
+    '--medium', 'Photography', '--notes', 'Shoreline at every low tide.', '--provider', 'none',
+  ]);
+
+  const project = (await readProjectsJson()).find(p => p.slug === 'tide-tables');
+  assert.equal(project.description, 'Shoreline at every low tide.');
+  assert.equal(project.images[0].alt, 'Tide Tables');
+  assert.equal(project.images[0].caption, undefined);
+});
+
+test('--no-ai is the same as --provider none', async () => {
+  await run([
+    '--slug', 'tide-tables', '--title', 'Tide Tables', '--year', '2025',
+    '--medium', 'Photography', '--notes', 'As written.', '--no-ai',
+  ]);
+
+  const project = (await readProjectsJson()).find(p => p.slug === 'tide-tables');
+  assert.equal(project.description, 'As written.');
+  assert.equal(project.descriptionHistory[0].source, 'none');
+});
+
+test('a project with no images in R2 gets placeholder images', async () => {
+  await run([
+    '--slug', 'empty-room', '--title', 'Empty Room', '--year', '2025',
+    '--medium', 'Installation', '--description', 'Nothing yet.',
+  ]);
+
+  const project = (await readProjectsJson()).find(p => p.slug === 'empty-room');
+  assert.deepEqual(project.images.map(img => img.src), [
+    '/projects/empty-room/full/01.jpg',
+    '/projects/empty-room/full/02.jpg',
+    '/projects/empty-room/full/03.jpg',
+  ]);
+  assert.equal(project.coverImage, '/projects/empty-room/full/cover.jpg');
+});
+
+test('--from uploads local originals without GPS data before creating the page', async () => {
+  const dir = join(cwd, 'originals');
+  await mkdir(dir);
+  const withGps = await sharp(await jpeg(120, 80, '#556677'))
+    .withExif({ IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '41/1 52/1 30/1' } })
+    .toBuffer();
+  assert.equal(await hasGps(withGps), true);
+  await writeFile(join(dir, 'IMG_10.JPG'), withGps);
+  await writeFile(join(dir, 'IMG_2.jpeg'), await jpeg(80, 120, '#aa3322'));
+  await writeFile(join(dir, 'notes.txt'), 'not an image');
+
+  await run([
+    '--slug', 'field-notes', '--title', 'Field Notes', '--year', '2025',
+    '--medium', 'Photography', '--description', 'Notes from the field.', '--from', dir,
+  ]);
+
+  const first = s3.objects.get('projects/field-notes/full/01.jpg');
+  const second = s3.objects.get('projects/field-notes/full/02.jpg');
+  assert.equal((await sharp(first.body).metadata()).width, 80, 'IMG_2 sorts before IMG_10');
+  assert.equal(await hasGps(second.body), false);
+  assert.equal(second.contentType, 'image/jpeg');
+  assert.equal(second.cacheControl, 'public, max-age=86400', 'replaceable objects are not cached as immutable');
+  assert.ok(s3.objects.has('projects/field-notes/thumb/02.jpg'));
+
+  const project = (await readProjectsJson()).find(p => p.slug === 'field-notes');
+  assert.deepEqual(project.images.map(img => img.src), [
+    '/projects/field-notes/full/01.jpg',
+    '/projects/field-notes/full/02.jpg',
+  ]);
+  assert.equal(project.images[1].width, 120);
+
+  await assert.rejects(
+    run(['--slug', 'field-notes-2', '--title', 'Again', '--year', '2025', '--medium', 'Photography',
+      '--description', 'x', '--from', join(cwd, 'data')]),
+    err => /No images/.test(err.stderr),
+  );
+});
+
+test('--replace keeps the old images when an upload fails', async () => {
+  const dir = join(cwd, 'originals');
+  await mkdir(dir);
+  await writeFile(join(dir, 'IMG_1.jpg'), 'not really a jpeg');
+
+  await assert.rejects(
+    run(['--slug', 'tide-tables', '--title', 'Tide Tables', '--year', '2025',
+      '--medium', 'Photography', '--description', 'x', '--from', dir, '--replace']),
+  );
+  assert.ok(s3.objects.has('projects/tide-tables/full/01.jpg'));
+  assert.ok(s3.objects.has('projects/tide-tables/full/02.jpg'), 'the stale original is only deleted after a full upload');
+});
+
+test('upload-project --replace points an existing project at the renamed originals', async () => {
+  const old = (await readProjectsJson()).find(p => p.slug === 'melted-plastic');
+  for (const img of old.images) {
+    s3.put(img.src.slice(1), await jpeg(30, 20, '#000000'));
+  }
+
+  const dir = join(cwd, 'originals');
+  await mkdir(dir);
+  for (let i = 1; i <= old.images.length; i++) {
+    await writeFile(join(dir, `scan ${i}.jpg`), await jpeg(90 + i, 60, '#336699'));
+  }
+
+  const { stdout } = await run(['melted-plastic', '--from', dir, '--replace'], {}, UPLOAD_SCRIPT);
+  assert.match(stdout, /add-project -- --backfill melted-plastic/);
+
+  // 1.jpg … 14.jpg were replaced by 01.jpg … 14.jpg
+  assert.equal(s3.objects.has('projects/melted-plastic/full/1.jpg'), false);
+  let project = (await readProjectsJson()).find(p => p.slug === 'melted-plastic');
+  assert.equal(project.images.length, old.images.length);
+  for (const img of project.images) {
+    assert.ok(s3.objects.has(img.src.slice(1)), `${img.src} exists`);
+    assert.ok(s3.objects.has(img.thumb.slice(1)), `${img.thumb} exists`);
+  }
+  assert.equal(project.images[0].src, '/projects/melted-plastic/full/01.jpg');
+  assert.equal(project.coverImage, '/projects/melted-plastic/full/01.jpg');
+  assert.equal(project.thumbnailImage, '/projects/melted-plastic/thumb/01.jpg');
+  assert.deepEqual(project.sections, old.sections);
+
+  const page = await readFile(join(cwd, 'projects/melted-plastic.html'), 'utf-8');
+  assert.match(page, /data-src="\/projects\/melted-plastic\/full\/14\.jpg"/);
+  assert.doesNotMatch(page, /\/full\/1\.jpg"/);
+
+  // The suggested backfill can now read every image
+  const backfill = await run(['--backfill', 'melted-plastic']);
+  assert.doesNotMatch(backfill.stderr, /ERROR/);
+  project = (await readProjectsJson()).find(p => p.slug === 'melted-plastic');
+  assert.equal(project.images[13].width, 104);
+});
+
+test('upload-project --replace refuses a set too small for the project\'s sections', async () => {
+  s3.put('projects/pseudo-data/full/001.jpg', await jpeg(30, 20, '#000000'));
+  const before = await readFile(join(cwd, 'data/projects.json'), 'utf-8');
+
+  const dir = join(cwd, 'originals');
+  await mkdir(dir);
+  await writeFile(join(dir, 'one.jpg'), await jpeg(40, 40, '#336699'));
+  await writeFile(join(dir, 'two.jpg'), await jpeg(40, 40, '#336699'));
+
+  await assert.rejects(
+    run(['pseudo-data', '--from', dir, '--replace'], {}, UPLOAD_SCRIPT),
+    err => /2 images would not fit pseudo-data's sections/.test(err.stderr),
+  );
+  assert.ok(s3.objects.has('projects/pseudo-data/full/001.jpg'), 'nothing is deleted');
+  assert.equal(s3.objects.has('projects/pseudo-data/full/01.jpg'), false, 'nothing is uploaded');
+  assert.equal(await readFile(join(cwd, 'data/projects.json'), 'utf-8'), before);
+});
+
+test('rejects a slug that already exists', async () => {
+  const { slug } = (await readProjectsJson())[0];
+
+  await assert.rejects(
+    run(['--slug', slug, '--title', 'Again', '--year', '2025', '--medium', 'Photography', '--description', 'x']),
+    err => err.code === 1 && /already exists/.test(err.stderr),
+  );
+});
+
+test('rejects an unknown provider', async () => {
+  await assert.rejects(
+    run(['--slug', 'tide-tables', '--title', 'Tide Tables', '--year', '2025',
+      '--medium', 'Photography', '--notes', 'x', '--provider', 'oracle']),
+    err => /Unknown description provider "oracle"/.test(err.stderr),
+  );
+});
@@ -0,0 +1,126 @@
+/**
+ * Tests for the gallery-search worker's fetch handler, called directly
+ * with in-memory bindings (see helpers/worker-env.js).
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import worker from '../workers/gallery-search/index.js';
+import { createWorkerEnv, callWorker } from './helpers/worker-env.js';
+
+// Three-dimensional stand-in embeddings: one axis per subject
+const AXES = ['sea', 'forest', 'city'];
+const embed = text => AXES.map(word => (text.toLowerCase().includes(word) ? 1 : 0.01));
+
+const DESCRIPTION_MODEL = '@cf/llava-hf/llava-1.5-7b-hf';
+
+// The stand-in image model reads a thumbnail's bytes as its description, so
+// each thumbnail is simply what it "shows"
+const THUMBNAILS = {
+  'gallery/thumb/001.jpg': 'Waves breaking on the sea',
+  'gallery/thumb/002.jpg': 'Pines in a forest clearing',
+  'gallery/thumb/003.jpg': 'A sea wall below the city',
+};
+
+async function indexedEnv(vars = { IMAGE_DESCRIPTION_MODEL: DESCRIPTION_MODEL }) {
+  const objects = Object.fromEntries(Object.entries(THUMBNAILS).map(([key, text]) => [key, Buffer.from(text)]));
+  const env = createWorkerEnv({ embed, objects, ...vars });
+  const images = ['sea', 'forest', 'city'].map((word, i) => ({
+    id: `gallery-00${i + 1}`,
+    tags: [word],
+    alt: `A ${word} at dusk`,
+    src: `/gallery/full/00${i + 1}.jpg`,
+    thumb: `/gallery/thumb/00${i + 1}.jpg`,
+  }));
+  const { status, body } = await callWorker(worker, env, 'POST', '/index-batch', { images }, { admin: true });
+  assert.equal(status, 200);
+  env.indexed = body.results;
+  return env;
+}
+
+test('/search and /similar reject a limit that is not a whole number from 1', async () => {
+  const env = await indexedEnv();
+
+  for (const limit of ['many', -3, 0, 2.5, null, [5]]) {
+    const search = await callWorker(worker, env, 'POST', '/search', { query: 'sea', limit });
+    assert.equal(search.status, 400, `search limit ${JSON.stringify(limit)}`);
+    assert.match(search.body.error, /"limit"/);
+
+    const similar = await callWorker(worker, env, 'POST', '/similar', { id: 'gallery-001', limit });
+    assert.equal(similar.status, 400, `similar limit ${JSON.stringify(limit)}`);
+    assert.match(similar.body.error, /"limit"/);
+  }
+});
+
+test('/search caps the limit at 100 and accepts a numeric string', async () => {
+  const env = await indexedEnv();
+
+  const capped = await callWorker(worker, env, 'POST', '/search', { query: 'sea', limit: 5000 });
+  assert.equal(capped.status, 200);
+  assert.equal(capped.body.length, 3);
+  assert.equal(capped.body[0].id, 'gallery-001');
+
+  const one = await callWorker(worker, env, 'POST', '/search', { query: 'forest', limit: '1' });
+  assert.deepEqual(one.body.map(r => r.id), ['gallery-002']);
+});
+
+test('indexing describes each thumbnail and embeds the description into the description index', async () => {
+  const env = await indexedEnv();
+
+  assert.deepEqual(env.indexed.map(r => r.described), [true, true, true]);
+  assert.deepEqual([...env.DESCRIPTION_INDEX.vectors.keys()], ['gallery-001', 'gallery-002', 'gallery-003']);
+
+  const described = env.calls.filter(call => call.model === DESCRIPTION_MODEL);
+  assert.equal(described.length, 3);
+  assert.deepEqual(described[0].input.image, [...Buffer.from(THUMBNAILS['gallery/thumb/001.jpg'])]);
+  assert.equal(typeof described[0].input.prompt, 'string');
+  assert.ok(described[0].input.max_tokens > 0);
+
+  // The vector comes from the description, not the alt text
+  assert.ok(env.calls.some(call => call.input.text?.[0] === 'A sea wall below the city'));
+  assert.deepEqual(env.DESCRIPTION_INDEX.vectors.get('gallery-003').values, embed('A sea wall below the city'));
+});
+
+test('an image whose thumbnail is missing is indexed without a description embedding', async () => {
+  const env = createWorkerEnv({ embed, IMAGE_DESCRIPTION_MODEL: DESCRIPTION_MODEL });
+  const image = { id: 'gallery-009', tags: ['sea'], alt: 'A sea', src: '/gallery/full/009.jpg', thumb: '/gallery/thumb/009.jpg' };
+
+  const { status, body } = await callWorker(worker, env, 'POST', '/index', image, { admin: true });
+  assert.equal(status, 200);
+  assert.equal(body.described, false);
+  assert.equal(env.DESCRIPTION_INDEX.vectors.size, 0);
+  assert.ok(env.GALLERY_INDEX.vectors.has('gallery-009'));
+});
+
+test('/similar returns the closest-looking images with their metadata, not the image itself', async () => {
+  const env = await indexedEnv();
+
+  const { status, body } = await callWorker(worker, env, 'POST', '/similar', { id: 'gallery-001' });
+  assert.equal(status, 200);
+  assert.deepEqual(body.map(r => r.id), ['gallery-003', 'gallery-002']);
+  assert.ok(body[0].score > body[1].score);
+  assert.equal(body[0].metadata.alt, 'A city at dusk');
+  assert.equal(body[0].metadata.thumb, '/gallery/thumb/003.jpg');
+
+  const one = await callWorker(worker, env, 'POST', '/similar', { id: 'gallery-001', limit: 1 });
+  assert.deepEqual(one.body.map(r => r.id), ['gallery-003']);
+
+  const missing = await callWorker(worker, env, 'POST', '/similar', { id: 'gallery-404' });
+  assert.equal(missing.status, 404);
+});
+
+test('GET /similar reports whether similar-image search is available', async () => {
+  const configured = await indexedEnv();
+  const on = await callWorker(worker, configured, 'GET', '/similar');
+  assert.deepEqual(on, { status: 200, body: { available: true } });
+
+  const unconfigured = await indexedEnv({ IMAGE_DESCRIPTION_MODEL: '' });
+  assert.equal(unconfigured.DESCRIPTION_INDEX.vectors.size, 0);
+  assert.ok(unconfigured.calls.every(call => call.model !== DESCRIPTION_MODEL));
+
+  const off = await callWorker(worker, unconfigured, 'GET', '/similar');
+  assert.deepEqual(off, { status: 200, body: { available: false } });
+
+  const similar = await callWorker(worker, unconfigured, 'POST', '/similar', { id: 'gallery-001' });
+  assert.equal(similar.status, 503);
+});
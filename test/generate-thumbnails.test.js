@@ -0,0 +1,181 @@
+/**
+ * Tests for scripts/generate-thumbnails.js change detection against the S3
+ * stand-in: the R2 manifest, regeneration of replaced originals, --force,
+ * removal of orphaned derivatives and resuming — plus one run against a
+ * local directory with STORAGE=fs:<dir>.
+ */
+
+import { test, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { access, cp, mkdir, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { promisify } from 'util';
+import sharp from 'sharp';
+import { startS3StandIn } from './helpers/s3-stand-in.js';
+
+const ROOT = resolve(import.meta.dirname, '..');
+const SCRIPT = join(ROOT, 'scripts/generate-thumbnails.js');
+const SITE_FILES = ['data', 'projects', 'index.html', 'sitemap.xml'];
+const SLUG = 'as-light-turns-into-day';
+const MANIFEST = `projects/${SLUG}/manifest.json`;
+
+let s3;
+let cwd;
+let originals;
+
+async function jpeg(background) {
+  return sharp({ create: { width: 160, height: 100, channels: 3, background } }).jpeg().toBuffer();
+}
+
+function run(args, env = {}) {
+  return promisify(execFile)('node', [SCRIPT, '--project', SLUG, '--widths', '40,80', '--formats', 'webp,jpeg', ...args], {
+    cwd,
+    env: {
+      PATH: process.env.PATH,
+      R2_ENDPOINT: s3.endpoint,
+      R2_BUCKET: s3.bucket,
+      R2_ACCESS_KEY_ID: 'test',
+      R2_SECRET_ACCESS_KEY: 'test',
+      ...env,
+    },
+  });
+}
+
+function manifest() {
+  return JSON.parse(s3.objects.get(MANIFEST).body.toString('utf-8'));
+}
+
+before(async () => {
+  const projects = JSON.parse(await readFile(join(ROOT, 'data/projects.json'), 'utf-8'));
+  originals = projects.find(p => p.slug === SLUG).images.slice(0, 2).map(img => img.src.slice(1));
+});
+
+beforeEach(async (t) => {
+  s3 = await startS3StandIn({
+    objects: {
+      [originals[0]]: await jpeg('#204060'),
+      [originals[1]]: await jpeg('#c0a080'),
+    },
+  });
+  cwd = await mkdtemp(join(tmpdir(), 'generate-thumbnails-'));
+  for (const file of SITE_FILES) {
+    await cp(join(ROOT, file), join(cwd, file), { recursive: true });
+  }
+  t.after(async () => {
+    await s3.close();
+    await rm(cwd, { recursive: true, force: true });
+  });
+});
+
+test('records derivatives in the manifest and skips them on the next run', async () => {
+  const { stdout } = await run([]);
+  assert.match(stdout, /Generated: 2/);
+
+  const entry = manifest().images[originals[0]];
+  assert.equal(entry.etag, s3.objects.get(originals[0]).etag);
+  assert.equal(entry.derivatives.length, 5, 'thumb + 2 widths × 2 formats');
+  entry.derivatives.forEach(key => assert.ok(s3.objects.has(key), key));
+
+  const rerun = await run([]);
+  assert.match(rerun.stdout, /Generated: 0/);
+  assert.match(rerun.stdout, /Skipped:\s+2/);
+});
+
+test('regenerates only a replaced original, or everything with --force', async () => {
+  await run([]);
+  const thumb = originals[1].replace('/full/', '/thumb/');
+  const oldThumb = s3.objects.get(thumb).etag;
+
+  s3.put(originals[1], await jpeg('#ff0000'));
+  const { stdout } = await run([]);
+  assert.match(stdout, /Generated: 1/);
+  assert.match(stdout, /original changed/);
+  assert.notEqual(s3.objects.get(thumb).etag, oldThumb);
+  assert.equal(manifest().images[originals[1]].etag, s3.objects.get(originals[1]).etag);
+
+  const forced = await run(['--force']);
+  assert.match(forced.stdout, /Generated: 2/);
+});
+
+test('cuts the ladder at the original\'s width, not the placeholder in projects.json', async () => {
+  const projectsPath = join(cwd, 'data/projects.json');
+  const projects = JSON.parse(await readFile(projectsPath, 'utf-8'));
+  Object.assign(projects.find(p => p.slug === SLUG).images[0], { width: 60, height: 45 });
+  await writeFile(projectsPath, JSON.stringify(projects, null, 2));
+
+  await run([]);
+  const entry = manifest().images[originals[0]];
+  assert.equal(entry.width, 160);
+  const widest = originals[0].replace('/full/', '/sizes/').replace('.jpg', '-80.jpg');
+  assert.ok(entry.derivatives.includes(widest));
+  assert.ok(s3.objects.has(widest));
+
+  const record = JSON.parse(await readFile(projectsPath, 'utf-8')).find(p => p.slug === SLUG).images[0];
+  assert.deepEqual(record.widths, [40, 80]);
+});
+
+test('removes the wider variants when an original is replaced by a smaller one', async () => {
+  await run([]);
+  const sizes = originals[1].replace('/full/', '/sizes/').replace('.jpg', '');
+  assert.ok(s3.objects.has(`${sizes}-80.webp`));
+
+  s3.put(originals[1], await sharp({ create: { width: 60, height: 40, channels: 3, background: '#c0a080' } }).jpeg().toBuffer());
+  const { stdout } = await run([]);
+  assert.match(stdout, /Stale:\s+2 removed/);
+  for (const format of ['webp', 'jpg']) {
+    assert.equal(s3.objects.has(`${sizes}-80.${format}`), false, `80w ${format} removed`);
+    assert.ok(s3.objects.has(`${sizes}-60.${format}`), `60w ${format} generated`);
+  }
+  assert.deepEqual(manifest().images[originals[1]].derivatives.filter(key => key.includes('/sizes/')),
+    [`${sizes}-40.webp`, `${sizes}-40.jpg`, `${sizes}-60.webp`, `${sizes}-60.jpg`]);
+  assert.ok(s3.objects.has(originals[0].replace('/full/', '/sizes/').replace('.jpg', '-80.webp')), 'other originals are left alone');
+});
+
+test('removes thumbs and variants whose original was deleted', async () => {
+  await run([]);
+  const derivatives = manifest().images[originals[1]].derivatives;
+  s3.objects.delete(originals[1]);
+  s3.put(`projects/${SLUG}/thumb/stray.jpg`, await jpeg('#000000'));
+
+  const { stdout } = await run([]);
+  assert.match(stdout, /Orphans:\s+6 removed/);
+  derivatives.forEach(key => assert.equal(s3.objects.has(key), false, key));
+  assert.equal(manifest().images[originals[1]], undefined);
+  assert.ok(s3.objects.has(originals[0].replace('/full/', '/thumb/')));
+});
+
+test('resumes from the checkpoint after a failed run', async () => {
+  s3.put(originals[1], Buffer.from('not an image'));
+  const failed = await run(['--concurrency', '1']);
+  assert.match(failed.stdout, /Errors:\s+1/);
+  const checkpoint = JSON.parse(await readFile(join(cwd, '.generate-thumbnails-checkpoint.json'), 'utf-8'));
+  assert.deepEqual(Object.keys(checkpoint.items), [originals[0]]);
+
+  s3.put(originals[1], await jpeg('#c0a080'));
+  const { stdout } = await run(['--concurrency', '1']);
+  assert.match(stdout, /Resuming: 1 images/);
+  assert.match(stdout, /Generated: 1/);
+  assert.match(stdout, /Resumed:\s+1/);
+  await assert.rejects(readFile(join(cwd, '.generate-thumbnails-checkpoint.json')), { code: 'ENOENT' });
+});
+
+test('runs against a local directory with STORAGE=fs:', async () => {
+  const assets = join(cwd, 'assets');
+  for (const key of originals) {
+    await mkdir(dirname(join(assets, key)), { recursive: true });
+    await writeFile(join(assets, key), s3.objects.get(key).body);
+  }
+
+  const { stdout } = await run([], { STORAGE: 'fs:./assets', R2_ENDPOINT: 'http://127.0.0.1:9' });
+  assert.match(stdout, /Storage: fs:\.\/assets/);
+  assert.match(stdout, /Generated: 2/);
+  await access(join(assets, originals[0].replace('/full/', '/thumb/')));
+  const manifestFile = JSON.parse(await readFile(join(assets, MANIFEST), 'utf-8'));
+  assert.equal(manifestFile.images[originals[1]].derivatives.length, 5);
+  assert.equal(s3.requests.length, 0, 'R2 is never contacted');
+
+  const rerun = await run([], { STORAGE: 'fs:./assets' });
+  assert.match(rerun.stdout, /Skipped:\s+2/);
+});
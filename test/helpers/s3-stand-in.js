@@ -0,0 +1,131 @@
+/**
+ * Minimal S3-compatible server for tests. Serves an in-memory bucket over
+ * HTTP with just enough of the API for the scripts: ListObjectsV2 (prefix,
+ * single page), GetObject (with Range), HeadObject, PutObject, DeleteObject
+ * and DeleteObjects. Requests are path-style: /<bucket>/<key>. ETags are
+ * the MD5 of the body, as S3 does for single-part uploads.
+ */
+
+import { createServer } from 'http';
+import { createHash } from 'crypto';
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+}
+
+function storedObject(body, { contentType = 'image/jpeg', cacheControl } = {}) {
+  return {
+    body,
+    contentType,
+    cacheControl,
+    etag: `"${createHash('md5').update(body).digest('hex')}"`,
+    lastModified: new Date(),
+  };
+}
+
+function listXml(bucket, keys, objects) {
+  const contents = keys.map(key => {
+    const object = objects.get(key);
+    return `<Contents><Key>${escapeXml(key)}</Key><LastModified>${object.lastModified.toISOString()}</LastModified>`
+      + `<Size>${object.body.length}</Size><ETag>${escapeXml(object.etag)}</ETag></Contents>`;
+  });
+  return '<?xml version="1.0" encoding="UTF-8"?>'
+    + '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">'
+    + `<Name>${escapeXml(bucket)}</Name><KeyCount>${keys.length}</KeyCount><IsTruncated>false</IsTruncated>`
+    + contents.join('')
+    + '</ListBucketResult>';
+}
+
+function notFound(res) {
+  res.statusCode = 404;
+  res.setHeader('Content-Type', 'application/xml');
+  res.end('<?xml version="1.0" encoding="UTF-8"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>');
+}
+
+/**
+ * Start the server on a free port. `objects` maps key → Buffer.
+ * Resolves to { endpoint, bucket, objects, requests, close() } where
+ * `objects` is the live Map of key → { body, contentType, cacheControl,
+ * etag, lastModified }. Use `put(key, body)` to change an object the way an
+ * upload would.
+ */
+export async function startS3StandIn({ bucket = 'test-bucket', objects = {} } = {}) {
+  const store = new Map(Object.entries(objects).map(([key, body]) => [key, storedObject(body)]));
+  const requests = [];
+
+  const server = createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const [, requestBucket, ...rest] = url.pathname.split('/');
+      const key = decodeURIComponent(rest.join('/'));
+      requests.push({ method: req.method, key, query: url.search });
+
+      if (requestBucket !== bucket) return notFound(res);
+
+      if (req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        const prefix = url.searchParams.get('prefix') || '';
+        const keys = [...store.keys()].filter(k => k.startsWith(prefix)).sort();
+        res.setHeader('Content-Type', 'application/xml');
+        return res.end(listXml(bucket, keys, store));
+      }
+
+      if (req.method === 'PUT') {
+        const object = storedObject(Buffer.concat(chunks), {
+          contentType: req.headers['content-type'],
+          cacheControl: req.headers['cache-control'],
+        });
+        store.set(key, object);
+        res.setHeader('ETag', object.etag);
+        return res.end();
+      }
+
+      if (req.method === 'POST' && url.searchParams.has('delete')) {
+        const keys = [...Buffer.concat(chunks).toString('utf-8').matchAll(/<Key>([^<]*)<\/Key>/g)]
+          .map(match => match[1].replace(/&(lt|gt|amp|quot);/g, (_, e) => ({ lt: '<', gt: '>', amp: '&', quot: '"' })[e]));
+        keys.forEach(k => store.delete(k));
+        res.setHeader('Content-Type', 'application/xml');
+        return res.end('<?xml version="1.0" encoding="UTF-8"?><DeleteResult>'
+          + keys.map(k => `<Deleted><Key>${escapeXml(k)}</Key></Deleted>`).join('')
+          + '</DeleteResult>');
+      }
+
+      if (req.method === 'DELETE') {
+        store.delete(key);
+        res.statusCode = 204;
+        return res.end();
+      }
+
+      const object = store.get(key);
+      if (!object) return notFound(res);
+
+      let body = object.body;
+      const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+      if (range) {
+        const start = Number(range[1]);
+        const end = range[2] ? Math.min(Number(range[2]), body.length - 1) : body.length - 1;
+        body = body.subarray(start, end + 1);
+        res.statusCode = 206;
+        res.setHeader('Content-Range', `bytes ${start}-${end}/${object.body.length}`);
+      }
+
+      res.setHeader('Content-Type', object.contentType || 'application/octet-stream');
+      res.setHeader('Content-Length', body.length);
+      res.setHeader('ETag', object.etag);
+      res.end(req.method === 'HEAD' ? undefined : body);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    endpoint: `http://127.0.0.1:${port}`,
+    bucket,
+    objects: store,
+    put: (key, body) => store.set(key, storedObject(body)),
+    requests,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
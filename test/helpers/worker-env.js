@@ -0,0 +1,133 @@
+/**
+ * In-memory bindings for calling the gallery-search worker's fetch handler
+ * directly: Workers AI, two Vectorize indexes, the D1 catalog and the R2
+ * bucket, with just enough behaviour for the routes under test.
+ *
+ * The D1 stand-in keeps the images table only: batched writes to it are
+ * applied, lookups by id are answered, and every other query (keyword
+ * search, tags, version) comes back empty.
+ */
+
+export const ADMIN_TOKEN = 'test-admin-token';
+
+function cosine(a, b) {
+  let dot = 0, na = 0, nb = 0;
+  a.forEach((x, i) => {
+    dot += x * b[i];
+    na += x * x;
+    nb += b[i] * b[i];
+  });
+  return na && nb ? dot / Math.sqrt(na * nb) : 0;
+}
+
+/**
+ * Vectorize index over a Map of id → { id, values, metadata }.
+ */
+export function vectorIndex() {
+  const vectors = new Map();
+  return {
+    vectors,
+    async upsert(items) {
+      items.forEach(item => vectors.set(item.id, item));
+      return { mutationId: 'm' };
+    },
+    async getByIds(ids) {
+      return ids.filter(id => vectors.has(id)).map(id => vectors.get(id));
+    },
+    async deleteByIds(ids) {
+      ids.forEach(id => vectors.delete(id));
+      return { mutationId: 'm' };
+    },
+    async query(values, { topK = 5, returnMetadata } = {}) {
+      if (!Number.isInteger(topK) || topK < 1 || topK > 100) {
+        throw new Error(`VECTOR_QUERY_ERROR: invalid topK ${topK}`);
+      }
+      const matches = [...vectors.values()]
+        .map(v => ({ id: v.id, score: cosine(values, v.values), ...(returnMetadata ? { metadata: v.metadata } : {}) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+      return { matches, count: matches.length };
+    },
+  };
+}
+
+function catalog(images) {
+  const statement = (sql, args = []) => ({
+    bind: (...values) => statement(sql, values),
+    async all() {
+      if (/FROM images WHERE id IN/.test(sql)) {
+        return { results: args.filter(id => images.has(id)).map(id => ({ id, metadata: images.get(id) })) };
+      }
+      return { results: [] };
+    },
+    async first() {
+      return null;
+    },
+    apply() {
+      if (/^INSERT INTO images \(/.test(sql)) images.set(args[0], args[1]);
+      if (/^DELETE FROM images WHERE/.test(sql)) images.delete(args[0]);
+    },
+  });
+
+  return {
+    images,
+    prepare: sql => statement(sql.trim()),
+    async batch(statements) {
+      statements.forEach(s => s.apply());
+      return statements.map(() => ({ success: true }));
+    },
+  };
+}
+
+/**
+ * Worker env. `embed(text)` stands in for the text embedding model and
+ * `describe(bytes)` for the image-to-text model, which by default reads the
+ * thumbnail's bytes as its description; `objects` seeds R2.
+ */
+export function createWorkerEnv({ objects = {}, embed, describe = bytes => Buffer.from(bytes).toString(), ...vars } = {}) {
+  const calls = [];
+  const bucket = new Map(Object.entries(objects));
+
+  return {
+    calls,
+    ADMIN_TOKEN,
+    AI: {
+      async run(model, input) {
+        calls.push({ model, input });
+        if (input.text) return { shape: [input.text.length, 3], data: input.text.map(embed) };
+        if (input.image) return { description: describe(input.image) };
+        throw new Error(`Unexpected input for ${model}`);
+      },
+    },
+    GALLERY_INDEX: vectorIndex(),
+    DESCRIPTION_INDEX: vectorIndex(),
+    GALLERY_CATALOG: catalog(new Map()),
+    ASSETS_BUCKET: {
+      async get(key) {
+        if (!bucket.has(key)) return null;
+        const body = bucket.get(key);
+        return { arrayBuffer: async () => body.buffer.slice(body.byteOffset, body.byteOffset + body.byteLength) };
+      },
+      async head(key) {
+        return bucket.has(key) ? { key, customMetadata: {} } : null;
+      },
+    },
+    ...vars,
+  };
+}
+
+/**
+ * Call the worker with a JSON body; admin routes get the bearer token.
+ */
+export async function callWorker(worker, env, method, path, data, { admin = false } = {}) {
+  const request = new Request(`https://gallery-search.test${path}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(admin ? { Authorization: `Bearer ${ADMIN_TOKEN}` } : {}),
+    },
+    body: data === undefined ? undefined : JSON.stringify(data),
+  });
+  const response = await worker.fetch(request, env);
+  return { status: response.status, body: await response.json() };
+}
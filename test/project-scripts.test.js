@@ -0,0 +1,237 @@
+/**
+ * End-to-end tests for scripts/edit-project.js, scripts/move-project.js and
+ * scripts/remove-project.js.
+ *
+ * Each test copies the site's data and generated files into a temp
+ * directory, runs the script there, and inspects projects.json and the
+ * pages it rebuilt. remove-project archives to a STORAGE=fs directory and
+ * reports to a local stand-in for the gallery-search worker, so nothing
+ * touches the network or the working tree.
+ */
+
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { createServer } from 'http';
+import { cp, mkdir, mkdtemp, readFile, rm, writeFile, access } from 'fs/promises';
+import { tmpdir } from 'os';
+import { dirname, join, resolve } from 'path';
+import { promisify } from 'util';
+import { readProjects, findProject } from '../scripts/lib/projects.js';
+import { toSearchRecords } from '../scripts/lib/search-records.js';
+
+const ROOT = resolve(import.meta.dirname, '..');
+const SITE_FILES = ['data', 'projects', 'index.html', 'sitemap.xml'];
+const TOKEN = 'test-admin-token';
+
+let cwd;
+let search;
+let endpoint;
+const searchRequests = [];
+
+function run(script, args, env = {}) {
+  return promisify(execFile)('node', [join(ROOT, 'scripts', script), ...args], {
+    cwd,
+    env: { PATH: process.env.PATH, ...env },
+  });
+}
+
+async function readProjectsJson() {
+  return JSON.parse(await readFile(join(cwd, 'data/projects.json'), 'utf-8'));
+}
+
+function readSiteFile(path) {
+  return readFile(join(cwd, path), 'utf-8');
+}
+
+async function exists(path) {
+  return access(join(cwd, path)).then(() => true, () => false);
+}
+
+// The slugs of the project nav links on a page, as [prev, next]
+async function navOf(slug) {
+  const page = await readSiteFile(`projects/${slug}.html`);
+  const prev = /data-prev-project="([^"]+)\.html"/.exec(page);
+  const next = /data-next-project="([^"]+)\.html"/.exec(page);
+  return [prev ? prev[1] : null, next ? next[1] : null];
+}
+
+function assertLinked(projects) {
+  projects.forEach((project, i) => {
+    assert.equal(project.order, i, `${project.slug} order`);
+    assert.equal(project.prev, i > 0 ? projects[i - 1].slug : null, `${project.slug} prev`);
+    assert.equal(project.next, i < projects.length - 1 ? projects[i + 1].slug : null, `${project.slug} next`);
+  });
+}
+
+before(async () => {
+  search = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      searchRequests.push({ method: req.method, url: req.url, ...JSON.parse(body || '{}') });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ success: true, deleted: JSON.parse(body || '{}').ids?.length }));
+    });
+  });
+  await new Promise(done => search.listen(0, '127.0.0.1', done));
+  endpoint = `http://127.0.0.1:${search.address().port}`;
+});
+
+after(() => search.close());
+
+beforeEach(async (t) => {
+  searchRequests.length = 0;
+  cwd = await mkdtemp(join(tmpdir(), 'project-scripts-'));
+  for (const file of SITE_FILES) {
+    await cp(join(ROOT, file), join(cwd, file), { recursive: true });
+  }
+  t.after(() => rm(cwd, { recursive: true, force: true }));
+});
+
+test('edit-project updates fields and rebuilds the page, its neighbours and the home page', async () => {
+  await run('edit-project.js', [
+    'melted-plastic',
+    '--title', 'Melted Plastics',
+    '--tags', 'material, sculpture',
+    '--cover', '2.jpg',
+  ]);
+
+  const projects = await readProjectsJson();
+  const project = projects.find(p => p.slug === 'melted-plastic');
+  assert.equal(project.title, 'Melted Plastics');
+  assert.deepEqual(project.tags, ['material', 'sculpture']);
+  assert.equal(project.coverImage, '/projects/melted-plastic/full/2.jpg');
+  assert.equal(project.thumbnailImage, project.images[1].thumb);
+  assertLinked(projects);
+
+  const page = await readSiteFile('projects/melted-plastic.html');
+  assert.match(page, /<title>Melted Plastics/);
+  assert.match(page, /og:image" content="[^"]*\/projects\/melted-plastic\/full\/2\.jpg"/);
+
+  // Neighbours' nav links carry the title too
+  assert.match(await readSiteFile('projects/recalibration.html'), /Melted Plastics &rarr;/);
+  assert.match(await readSiteFile('projects/on-the-impossibility-of-a-unified-geodesy.html'), /&larr; Melted Plastics/);
+
+  const index = await readSiteFile('index.html');
+  assert.match(index, /Melted Plastics/);
+  assert.match(index, /data-src="\/projects\/melted-plastic\/full\/2\.jpg"/);
+});
+
+test('edit-project records descriptions and restores an earlier one', async () => {
+  const original = findProject(await readProjectsJson(), 'melted-plastic').description;
+
+  await run('edit-project.js', ['melted-plastic', '--description', 'Plastic, melted and re-set.']);
+  let project = findProject(await readProjectsJson(), 'melted-plastic');
+  assert.equal(project.description, 'Plastic, melted and re-set.');
+  assert.deepEqual(project.descriptionHistory.map(e => e.source), ['earlier', 'manual']);
+  assert.match(await readSiteFile('projects/melted-plastic.html'), /Plastic, melted and re-set\./);
+
+  const { stdout } = await run('edit-project.js', ['melted-plastic', '--history']);
+  assert.match(stdout, /\[2\] \d{4}-\d{2}-\d{2}, manual \(current\)/);
+
+  await run('edit-project.js', ['melted-plastic', '--restore', '1']);
+  project = findProject(await readProjectsJson(), 'melted-plastic');
+  assert.equal(project.description, original);
+  assert.deepEqual(project.descriptionHistory.map(e => e.source), ['earlier', 'manual', 'restored']);
+});
+
+test('edit-project rejects an unknown cover and leaves everything as it was', async () => {
+  const before = await readSiteFile('data/projects.json');
+  const page = await readSiteFile('projects/melted-plastic.html');
+
+  await assert.rejects(
+    run('edit-project.js', ['melted-plastic', '--title', 'Renamed', '--cover', 'missing.jpg']),
+    /has no image named "missing\.jpg"/
+  );
+
+  assert.equal(await readSiteFile('data/projects.json'), before);
+  assert.equal(await readSiteFile('projects/melted-plastic.html'), page);
+});
+
+test('move-project renumbers the order and relinks the old and new neighbours', async () => {
+  const { stdout } = await run('move-project.js', ['confidence-threshold', '--before', 'recalibration']);
+  assert.match(stdout, /New order:/);
+
+  const projects = await readProjectsJson();
+  assert.deepEqual(projects.slice(0, 3).map(p => p.slug), ['as-light-turns-into-day', 'confidence-threshold', 'recalibration']);
+  assert.equal(projects.at(-1).slug, 'pseudo-data');
+  assertLinked(projects);
+
+  assert.deepEqual(await navOf('confidence-threshold'), ['as-light-turns-into-day', 'recalibration']);
+  assert.deepEqual(await navOf('as-light-turns-into-day'), [null, 'confidence-threshold']);
+  assert.deepEqual(await navOf('recalibration'), ['confidence-threshold', 'melted-plastic']);
+  assert.deepEqual(await navOf('pseudo-data'), ['constant-energy', null]);
+
+  // Home page cards follow the new order
+  const index = await readSiteFile('index.html');
+  const cards = [...index.matchAll(/class="project-card" href="projects\/([^"]+)\.html"/g)].map(m => m[1]);
+  assert.deepEqual(cards, projects.map(p => p.slug));
+});
+
+test('move-project --dry-run prints the changes without writing them', async () => {
+  const before = await readSiteFile('data/projects.json');
+
+  const { stdout } = await run('move-project.js', ['recalibration', '--after', 'pseudo-data', '--dry-run']);
+  assert.match(stdout, /Dry run: no files written/);
+  assert.match(stdout, /\+\+\+ b\/data\/projects\.json/);
+
+  assert.equal(await readSiteFile('data/projects.json'), before);
+  assert.deepEqual(await navOf('recalibration'), ['as-light-turns-into-day', 'melted-plastic']);
+});
+
+test('remove-project deletes the page, relinks its neighbours, archives its images and unindexes them', async () => {
+  const removed = findProject(await readProjects(join(ROOT, 'data/projects.json')), 'melted-plastic');
+  const keys = ['projects/melted-plastic/full/1.jpg', 'projects/melted-plastic/thumb/1.jpg'];
+  for (const key of [...keys, 'projects/recalibration/full/001.jpg']) {
+    await mkdir(dirname(join(cwd, 'assets', key)), { recursive: true });
+    await writeFile(join(cwd, 'assets', key), key);
+  }
+
+  const { stdout } = await run('remove-project.js', ['melted-plastic', '--yes', '--archive'], {
+    STORAGE: 'fs:assets',
+    SEARCH_ENDPOINT: endpoint,
+    SEARCH_ADMIN_TOKEN: TOKEN,
+  });
+  assert.match(stdout, /Removed: projects\/melted-plastic\.html/);
+  assert.match(stdout, /Archived: 2 objects/);
+
+  const projects = await readProjectsJson();
+  assert.equal(projects.length, 7);
+  assert.equal(findProject(projects, 'melted-plastic'), null);
+  assertLinked(projects);
+
+  assert.equal(await exists('projects/melted-plastic.html'), false);
+  assert.deepEqual(await navOf('recalibration'), ['as-light-turns-into-day', 'on-the-impossibility-of-a-unified-geodesy']);
+  assert.deepEqual(await navOf('on-the-impossibility-of-a-unified-geodesy'), ['recalibration', 'content-in-place']);
+  assert.doesNotMatch(await readSiteFile('index.html'), /melted-plastic/);
+  assert.doesNotMatch(await readSiteFile('sitemap.xml'), /melted-plastic/);
+
+  for (const key of keys) {
+    assert.equal(await exists(`assets/${key}`), false, `${key} moved`);
+    assert.equal(await readSiteFile(`assets/archive/${key}`), key);
+  }
+  assert.ok(await exists('assets/projects/recalibration/full/001.jpg'), 'other projects are left alone');
+
+  assert.deepEqual(searchRequests, [{
+    method: 'POST',
+    url: '/delete-batch',
+    ids: toSearchRecords(removed).map(record => record.id),
+  }]);
+});
+
+test('remove-project still removes the project when search cannot be updated', async () => {
+  const { stdout, stderr } = await run('remove-project.js', ['pseudo-data', '--yes'], {
+    SEARCH_ENDPOINT: endpoint,
+  });
+  assert.match(stderr, /SEARCH_ADMIN_TOKEN is not set/);
+  assert.match(stderr, /Retry with: npm run search-index -- delete pseudo-data\//);
+  assert.match(stdout, /Search: {3}not updated/);
+  assert.equal(searchRequests.length, 0);
+
+  const projects = await readProjectsJson();
+  assert.equal(findProject(projects, 'pseudo-data'), null);
+  assertLinked(projects);
+  assert.deepEqual(await navOf('confidence-threshold'), ['constant-energy', null]);
+  assert.equal(await exists('projects/pseudo-data.html'), false);
+});
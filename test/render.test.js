@@ -0,0 +1,148 @@
+/**
+ * Tests for the image markup in scripts/lib/render.js: <picture> with a
+ * <source> per modern format for images with responsive variants, and a
+ * plain <img> for images without.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderProjectPage, renderProjectCard } from '../scripts/lib/render.js';
+import { CDN_BASE } from '../js/config.js';
+
+const CDN = process.env.CDN_BASE_URL || CDN_BASE;
+const PAGE_SIZES = '(max-width: 1200px) 100vw, 1200px';
+
+const PROJECT = {
+  slug: 'tide-tables',
+  title: 'Tide Tables',
+  year: '2025',
+  medium: 'Photography',
+  description: 'The same shoreline at every low tide.',
+  coverImage: '/projects/tide-tables/full/01.jpg',
+  thumbnailImage: '/projects/tide-tables/thumb/01.jpg',
+  images: [
+    {
+      src: '/projects/tide-tables/full/01.jpg',
+      thumb: '/projects/tide-tables/thumb/01.jpg',
+      alt: 'Wet sand & a grey sky',
+      width: 1600,
+      height: 1200,
+      widths: [400, 800, 1600],
+      formats: ['avif', 'webp', 'jpeg'],
+    },
+    {
+      src: '/projects/tide-tables/full/02.jpg',
+      thumb: '/projects/tide-tables/thumb/02.jpg',
+      alt: 'The tide line',
+      width: 300,
+      height: 200,
+      placeholder: 'data:image/webp;base64,AAAA',
+    },
+    {
+      src: '/projects/tide-tables/full/03.jpg',
+      thumb: '/projects/tide-tables/thumb/03.jpg',
+      alt: 'Footprints',
+      width: 800,
+      height: 800,
+      widths: [400, 800],
+      formats: ['avif', 'webp'],
+    },
+  ],
+};
+
+// The .image-container blocks of a page, in order
+function imageBlocks(html) {
+  return [...html.matchAll(/<div class="image-container">([\s\S]*?)\n\s*<\/div>/g)].map(m => m[1]);
+}
+
+// Attributes of the first tag matching `pattern` in `html`
+function attributesOf(html, pattern) {
+  const tag = pattern.exec(html);
+  assert.ok(tag, `no tag matching ${pattern}`);
+  return Object.fromEntries([...tag[0].matchAll(/([\w-]+)="([^"]*)"/g)].map(m => [m[1], m[2]]));
+}
+
+test('an image with variants becomes a <picture> with a <source> per modern format', () => {
+  const [block] = imageBlocks(renderProjectPage(PROJECT, { prev: null, next: null }));
+
+  assert.match(block, /<picture class="image-container__picture">/);
+  const sources = [...block.matchAll(/<source[^>]*>/g)].map(m => attributesOf(m[0], /<source[^>]*>/));
+  assert.deepEqual(sources, [
+    {
+      type: 'image/avif',
+      sizes: PAGE_SIZES,
+      'data-srcset': `${CDN}/projects/tide-tables/sizes/01-400.avif 400w, `
+        + `${CDN}/projects/tide-tables/sizes/01-800.avif 800w, `
+        + `${CDN}/projects/tide-tables/sizes/01-1600.avif 1600w`,
+    },
+    {
+      type: 'image/webp',
+      sizes: PAGE_SIZES,
+      'data-srcset': `${CDN}/projects/tide-tables/sizes/01-400.webp 400w, `
+        + `${CDN}/projects/tide-tables/sizes/01-800.webp 800w, `
+        + `${CDN}/projects/tide-tables/sizes/01-1600.webp 1600w`,
+    },
+  ]);
+  assert.doesNotMatch(block, /\ssrcset=/, 'srcset is only set once the image scrolls into view');
+
+  // The JPEG ladder is the fallback, and the largest JPEG stands in for the original
+  const full = attributesOf(block, /<img class="image-container__full"[^>]*>/);
+  assert.equal(full['data-src'], '/projects/tide-tables/sizes/01-1600.jpg');
+  assert.equal(full['data-srcset'], `${CDN}/projects/tide-tables/sizes/01-400.jpg 400w, `
+    + `${CDN}/projects/tide-tables/sizes/01-800.jpg 800w, `
+    + `${CDN}/projects/tide-tables/sizes/01-1600.jpg 1600w`);
+  assert.equal(full.sizes, PAGE_SIZES);
+  assert.equal(full.alt, 'Wet sand &amp; a grey sky');
+  assert.equal(full.width, '1600');
+  assert.equal(full.height, '1200');
+
+  const thumb = attributesOf(block, /<img class="image-container__thumb"[^>]*>/);
+  assert.equal(thumb.src, `${CDN}/projects/tide-tables/thumb/01.jpg`);
+  assert.equal(thumb.height, '30');
+});
+
+test('an image without variants falls back to a plain <img> of the original', () => {
+  const block = imageBlocks(renderProjectPage(PROJECT, { prev: null, next: null }))[1];
+
+  assert.doesNotMatch(block, /<picture|<source|srcset/);
+  const full = attributesOf(block, /<img class="image-container__full"[^>]*>/);
+  assert.deepEqual(full, {
+    class: 'image-container__full',
+    'data-src': '/projects/tide-tables/full/02.jpg',
+    alt: 'The tide line',
+    width: '300',
+    height: '200',
+    loading: 'lazy',
+  });
+
+  // The inline placeholder replaces the CDN thumbnail
+  const thumb = attributesOf(block, /<img class="image-container__thumb"[^>]*>/);
+  assert.equal(thumb.src, 'data:image/webp;base64,AAAA');
+});
+
+test('without JPEG variants the last format is the fallback and gets no <source>', () => {
+  const block = imageBlocks(renderProjectPage(PROJECT, { prev: null, next: null }))[2];
+
+  const types = [...block.matchAll(/<source type="([^"]+)"/g)].map(m => m[1]);
+  assert.deepEqual(types, ['image/avif']);
+
+  const full = attributesOf(block, /<img class="image-container__full"[^>]*>/);
+  assert.equal(full['data-src'], '/projects/tide-tables/sizes/03-800.webp');
+  assert.equal(full['data-srcset'], `${CDN}/projects/tide-tables/sizes/03-400.webp 400w, `
+    + `${CDN}/projects/tide-tables/sizes/03-800.webp 800w`);
+});
+
+test('a card uses the cover\'s variants, and the original when the cover is not a project image', () => {
+  const card = renderProjectCard(PROJECT);
+  const sizes = attributesOf(card, /<source[^>]*>/).sizes;
+  assert.equal(sizes, '(max-width: 640px) 100vw, (max-width: 1024px) 50vw, 400px');
+  assert.equal(attributesOf(card, /<img class="image-container__full"[^>]*>/)['data-src'],
+    '/projects/tide-tables/sizes/01-1600.jpg');
+
+  const elsewhere = renderProjectCard({ ...PROJECT, coverImage: '/projects/tide-tables/full/cover.jpg' });
+  assert.doesNotMatch(elsewhere, /<picture|<source|srcset/);
+  const full = attributesOf(elsewhere, /<img class="image-container__full"[^>]*>/);
+  assert.equal(full['data-src'], '/projects/tide-tables/full/cover.jpg');
+  assert.equal(full.width, '1600');
+  assert.equal(full.alt, 'Tide Tables');
+});
@@ -0,0 +1,221 @@
+/**
+ * Tests for scripts/reindex.js, scripts/search-index.js and
+ * scripts/sync-gallery-tags.js against a local stand-in for the
+ * gallery-search worker, which checks signatures with the worker's own
+ * verifyAdmin; and for the R2 key to search id mapping the worker uses when
+ * it indexes uploads.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { createServer } from 'http';
+import { mkdir, mkdtemp, readFile, rm, stat } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { promisify } from 'util';
+import { readProjects, findProject } from '../scripts/lib/projects.js';
+import { toSearchRecords, searchIdForKey, yearRange } from '../scripts/lib/search-records.js';
+import { SIGNATURE_HEADER, signRequest, verifyAdmin } from '../scripts/lib/search-auth.js';
+
+const ROOT = resolve(import.meta.dirname, '..');
+const REINDEX = join(ROOT, 'scripts/reindex.js');
+const SEARCH_INDEX = join(ROOT, 'scripts/search-index.js');
+const SYNC = join(ROOT, 'scripts/sync-gallery-tags.js');
+const CATALOG_ETAG = '"v1"';
+const CATALOG = [
+  { id: 'a/1.jpg', tags: ['sea', 'boat'], alt: 'one' },
+  { id: 'a/2.jpg', tags: ['sea'], alt: 'two' },
+  { id: 'b/1.jpg', tags: ['sky'], alt: 'three' },
+];
+const TOKEN = 'test-admin-token';
+
+let server;
+let endpoint;
+const requests = [];
+
+before(async () => {
+  server = createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', async () => {
+      if (req.method === 'GET') {
+        serveCatalog(req, res);
+        return;
+      }
+      const result = await verifyAdmin({
+        signature: req.headers[SIGNATURE_HEADER.toLowerCase()],
+        method: req.method,
+        path: new URL(req.url, endpoint).pathname,
+        body,
+        secret: TOKEN,
+      });
+      if (result !== 'ok') {
+        res.writeHead(result === 'missing' ? 401 : 403);
+        res.end();
+        return;
+      }
+      const data = body ? JSON.parse(body) : {};
+      requests.push({ method: req.method, url: req.url, ...data });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({
+        success: true,
+        indexed: data.images?.length,
+        deleted: data.ids?.length,
+        id: decodeURIComponent(req.url.split('/images/')[1] || ''),
+        reembedded: 'alt' in data || 'caption' in data,
+      }));
+    });
+  });
+  await new Promise(done => server.listen(0, '127.0.0.1', done));
+  endpoint = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Catalog reads: conditional on the ETag, images two per page
+function serveCatalog(req, res) {
+  const url = new URL(req.url, endpoint);
+  requests.push({ method: 'GET', url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+
+  if (req.headers['if-none-match'] === CATALOG_ETAG) {
+    res.writeHead(304, { ETag: CATALOG_ETAG });
+    res.end();
+    return;
+  }
+
+  let data;
+  if (url.pathname === '/tags') {
+    data = [{ tag: 'boat', count: 1 }, { tag: 'sea', count: 2 }, { tag: 'sky', count: 1 }];
+  } else {
+    const start = url.searchParams.get('cursor') ? CATALOG.findIndex(img => img.id === url.searchParams.get('cursor')) + 1 : 0;
+    const images = CATALOG.slice(start, start + 2);
+    data = { images, cursor: start + 2 < CATALOG.length ? images[images.length - 1].id : null };
+  }
+  res.writeHead(200, { 'Content-Type': 'application/json', ETag: CATALOG_ETAG });
+  res.end(JSON.stringify(data));
+}
+
+function run(args, token = TOKEN, script = REINDEX, cwd = ROOT) {
+  return promisify(execFile)('node', [script, ...args], {
+    cwd,
+    env: { PATH: process.env.PATH, SEARCH_ENDPOINT: endpoint, SEARCH_ADMIN_TOKEN: token },
+  });
+}
+
+test('posts every image of a project to /index-batch', async () => {
+  const slug = 'as-light-turns-into-day';
+  const project = findProject(await readProjects(join(ROOT, 'data/projects.json')), slug);
+
+  requests.length = 0;
+  const { stdout } = await run(['--project', slug]);
+
+  assert.ok(requests.every(r => r.method === 'POST' && r.url === '/index-batch'));
+  assert.ok(requests.every(r => r.images.length <= 50));
+  assert.deepEqual(requests.flatMap(r => r.images), toSearchRecords(project));
+  assert.match(stdout, new RegExp(`Indexed: ${project.images.length} images`));
+});
+
+test('--dry-run sends nothing', async () => {
+  requests.length = 0;
+  await run(['--dry-run']);
+  assert.equal(requests.length, 0);
+});
+
+test('fails clearly when the worker rejects the token', async () => {
+  requests.length = 0;
+  await assert.rejects(run(['--project', 'as-light-turns-into-day'], 'wrong-token'), err => {
+    assert.match(err.stderr, /rejected \(403\)/);
+    return true;
+  });
+  assert.equal(requests.length, 0);
+});
+
+test('accepts a bearer token or a fresh signature of the exact request', async () => {
+  const request = { method: 'PATCH', path: '/images/a', body: '{"alt":"x"}' };
+  const now = Date.now();
+  const signature = await signRequest(TOKEN, request, Math.floor(now / 1000));
+  const check = credentials => verifyAdmin({ ...request, secret: TOKEN, now, ...credentials });
+
+  assert.equal(await check({}), 'missing');
+  assert.equal(await check({ authorization: `Bearer ${TOKEN}` }), 'ok');
+  assert.equal(await check({ authorization: 'Bearer nope' }), 'invalid');
+  assert.equal(await check({ signature }), 'ok');
+  assert.equal(await check({ signature, body: '{"alt":"y"}' }), 'invalid');
+  assert.equal(await check({ signature, path: '/images/b' }), 'invalid', 'another image');
+  assert.equal(await check({ signature, method: 'DELETE' }), 'invalid', 'another method');
+
+  // Empty-body requests differ only in method and path
+  const deleteA = await signRequest(TOKEN, { method: 'DELETE', path: '/images/a' }, Math.floor(now / 1000));
+  const del = path => verifyAdmin({ method: 'DELETE', path, signature: deleteA, secret: TOKEN, now });
+  assert.equal(await del('/images/a'), 'ok');
+  assert.equal(await del('/images/b'), 'invalid');
+  assert.equal(await check({ signature, now: now + 600_000 }), 'invalid');
+  assert.equal(await verifyAdmin({ secret: undefined, authorization: 'Bearer x' }), 'invalid');
+});
+
+test('search-index deletes a project\'s images in one batch', async () => {
+  const slug = 'as-light-turns-into-day';
+  const project = findProject(await readProjects(join(ROOT, 'data/projects.json')), slug);
+
+  requests.length = 0;
+  await run(['delete', '--project', slug], TOKEN, SEARCH_INDEX);
+
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].url, '/delete-batch');
+  assert.deepEqual(requests[0].ids, toSearchRecords(project).map(r => r.id));
+});
+
+test('search-index addresses single images by encoded id', async () => {
+  requests.length = 0;
+  await run(['delete', 'some-slug/03.jpg'], TOKEN, SEARCH_INDEX);
+  const { stdout } = await run(['update', 'some-slug/03.jpg', '--tags', 'sea, boat'], TOKEN, SEARCH_INDEX);
+
+  assert.deepEqual(requests.map(r => [r.method, r.url]), [
+    ['DELETE', '/images/some-slug%2F03.jpg'],
+    ['PATCH', '/images/some-slug%2F03.jpg'],
+  ]);
+  assert.deepEqual(requests[1].tags, ['sea', 'boat']);
+  assert.match(stdout, /Updated some-slug\/03\.jpg\./);
+});
+
+test('sync-gallery-tags pages through images and skips unchanged catalogs', async () => {
+  const cwd = await mkdtemp(join(tmpdir(), 'sync-gallery-tags-'));
+  try {
+    await mkdir(join(cwd, 'data'));
+    const output = join(cwd, 'data/gallery-tags.json');
+
+    requests.length = 0;
+    await run([], TOKEN, SYNC, cwd);
+    const data = JSON.parse(await readFile(output, 'utf-8'));
+    assert.deepEqual(data.tags, ['boat', 'sea', 'sky']);
+    assert.deepEqual(data.images, CATALOG);
+    assert.equal(data.etag, CATALOG_ETAG);
+    assert.deepEqual(requests.map(r => r.url), ['/tags', '/images?limit=500', '/images?limit=500&cursor=a%2F2.jpg']);
+
+    const written = (await stat(output)).mtimeMs;
+    requests.length = 0;
+    const { stdout } = await run([], TOKEN, SYNC, cwd);
+    assert.match(stdout, /Up to date/);
+    assert.equal(requests[0].ifNoneMatch, CATALOG_ETAG);
+    assert.equal((await stat(output)).mtimeMs, written);
+  } finally {
+    await rm(cwd, { recursive: true, force: true });
+  }
+});
+
+test('maps originals to search ids and ignores derivatives', () => {
+  assert.equal(searchIdForKey('projects/some-slug/full/03.jpg'), 'some-slug/03.jpg');
+  assert.equal(searchIdForKey('gallery/full/harbour.JPG'), 'gallery-harbour');
+  assert.equal(searchIdForKey('projects/some-slug/thumb/03.jpg'), null);
+  assert.equal(searchIdForKey('projects/some-slug/sizes/03-800.webp'), null);
+  assert.equal(searchIdForKey('projects/some-slug/manifest.json'), null);
+  assert.equal(searchIdForKey('archive/projects/some-slug/full/03.jpg'), null);
+});
+
+test('reads year ranges for the search year filter', () => {
+  assert.deepEqual(yearRange('2023'), { yearFrom: 2023, yearTo: 2023 });
+  assert.deepEqual(yearRange('2019–2021'), { yearFrom: 2019, yearTo: 2021 });
+  assert.deepEqual(yearRange('2024–present'), { yearFrom: 2024, yearTo: 9999 });
+  assert.equal(yearRange(''), null);
+});
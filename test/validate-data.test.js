@@ -0,0 +1,136 @@
+/**
+ * End-to-end tests for scripts/validate-data.js.
+ *
+ * Each test copies the site's data and built pages into a temp directory,
+ * breaks them in known ways, runs the script there and compares the
+ * problems it reports with the ones expected.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { cp, mkdtemp, readFile, rm, writeFile } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join, resolve } from 'path';
+import { promisify } from 'util';
+
+const ROOT = resolve(import.meta.dirname, '..');
+const SCRIPT = join(ROOT, 'scripts/validate-data.js');
+const SITE_FILES = ['data', 'projects', 'index.html', 'sitemap.xml'];
+const PROJECTS = 'data/projects.json';
+
+let cwd;
+
+/**
+ * Run the validator. Resolves to its exit code and the problems it
+ * printed, as "<LEVEL> <file>: <message>" lines.
+ */
+async function validate(args = []) {
+  let code = 0;
+  let stdout;
+  try {
+    ({ stdout } = await promisify(execFile)('node', [SCRIPT, ...args], { cwd }));
+  } catch (err) {
+    ({ code, stdout } = err);
+  }
+
+  const problems = [];
+  let file = null;
+  for (const line of stdout.split('\n')) {
+    const problem = /^ {2}(ERROR|WARN): (.*)$/.exec(line);
+    if (problem) {
+      problems.push(`${problem[1]} ${file}: ${problem[2]}`);
+    } else if (line && !line.startsWith(' ') && !line.startsWith('===')) {
+      file = line;
+    }
+  }
+  return { code, problems };
+}
+
+async function editProjects(edit) {
+  const projects = JSON.parse(await readFile(join(cwd, PROJECTS), 'utf-8'));
+  const bySlug = slug => projects.find(p => p.slug === slug);
+  edit(bySlug, projects);
+  await writeFile(join(cwd, PROJECTS), JSON.stringify(projects, null, 2));
+}
+
+const errors = problems => problems.filter(p => p.startsWith('ERROR'));
+const warnings = problems => problems.filter(p => p.startsWith('WARN'));
+
+beforeEach(async (t) => {
+  cwd = await mkdtemp(join(tmpdir(), 'validate-data-'));
+  for (const file of SITE_FILES) {
+    await cp(join(ROOT, file), join(cwd, file), { recursive: true });
+  }
+  t.after(() => rm(cwd, { recursive: true, force: true }));
+});
+
+test('the site data passes, with a warning for each image with placeholder dimensions', async () => {
+  const { code, problems } = await validate();
+  assert.equal(code, 0);
+  assert.deepEqual(errors(problems), []);
+
+  const placeholders = warnings(problems).filter(p => /has placeholder dimensions 1200×900/.test(p));
+  assert.equal(placeholders.length, warnings(problems).length);
+  assert.ok(placeholders.includes(
+    `WARN ${PROJECTS}: constant-energy: /projects/constant-energy/full/01.jpg has placeholder dimensions 1200×900 (add-project --backfill constant-energy)`
+  ));
+
+  const strict = await validate(['--strict']);
+  assert.equal(strict.code, 1, '--strict fails on warnings');
+});
+
+test('reports broken links, thumbs, tags and stale page dimensions in projects.json', async () => {
+  await editProjects((bySlug) => {
+    bySlug('recalibration').next = 'no-such-project';
+    bySlug('recalibration').images[0].width = 1200;
+    bySlug('recalibration').images[0].height = 900;
+    bySlug('melted-plastic').thumbnailImage = '/projects/melted-plastic/thumb/2.jpg';
+    bySlug('melted-plastic').images[1].thumb = '/projects/melted-plastic/thumb/other.jpg';
+    bySlug('melted-plastic').images[2] = { ...bySlug('melted-plastic').images[0] };
+    bySlug('pseudo-data').tags.push('not-a-tag');
+    bySlug('confidence-threshold').order = 6;
+  });
+
+  const { code, problems } = await validate();
+  assert.equal(code, 1);
+  assert.deepEqual(errors(problems).sort(), [
+    `ERROR ${PROJECTS}: duplicate order 6`,
+    `ERROR ${PROJECTS}: melted-plastic: image /projects/melted-plastic/full/1.jpg is listed twice`,
+    `ERROR ${PROJECTS}: melted-plastic: thumb /projects/melted-plastic/thumb/other.jpg does not match /projects/melted-plastic/full/2.jpg`,
+    `ERROR ${PROJECTS}: melted-plastic: thumbnailImage does not match coverImage`,
+    `ERROR ${PROJECTS}: pseudo-data: tag "not-a-tag" is not in gallery-tags.json`,
+    `ERROR ${PROJECTS}: recalibration: next "no-such-project" is not a project`,
+    'ERROR projects/melted-plastic.html: /projects/melted-plastic/full/3.jpg is not in projects.json — run npm run build',
+    'ERROR projects/recalibration.html: /projects/recalibration/full/001.jpg is 2000×3000 on the page but 1200×900 in projects.json — run npm run build',
+  ]);
+
+  assert.ok(warnings(problems).includes(
+    `WARN ${PROJECTS}: recalibration: /projects/recalibration/full/001.jpg has placeholder dimensions 1200×900 (add-project --backfill recalibration)`
+  ));
+});
+
+test('schema errors are reported and skip the cross-checks for that file', async () => {
+  await editProjects((bySlug) => {
+    delete bySlug('melted-plastic').title;
+    bySlug('recalibration').year = 'last spring';
+    bySlug('recalibration').next = 'no-such-project';
+  });
+
+  const { code, problems } = await validate();
+  assert.equal(code, 1);
+  assert.ok(errors(problems).length > 0);
+  assert.ok(errors(problems).every(p => p.startsWith(`ERROR ${PROJECTS}: /`)), 'only schema errors');
+  assert.ok(errors(problems).some(p => p.includes("must have required property 'title'")));
+  assert.ok(errors(problems).some(p => p.startsWith(`ERROR ${PROJECTS}: /1/year `)));
+  assert.deepEqual(warnings(problems), []);
+});
+
+test('a file that is not valid JSON is reported as unreadable', async () => {
+  await writeFile(join(cwd, PROJECTS), '[{ "slug": "broken", ');
+
+  const { code, problems } = await validate();
+  assert.equal(code, 1);
+  assert.equal(errors(problems).length, 1);
+  assert.match(errors(problems)[0], new RegExp(`^ERROR ${PROJECTS}: cannot be read: `));
+});
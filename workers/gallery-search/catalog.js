@@ -0,0 +1,147 @@
+/**
+ * Image catalog in D1, kept alongside the Vectorize index.
+ *
+ * Vectorize can only be queried by similarity, so listing every image or
+ * counting tags needs a copy of the metadata that can be read in order.
+ * Every write to the index is mirrored here, and each write changes the
+ * catalog version, which /tags and /images serve as their ETag. Captions,
+ * alt text, tags, project and year are also kept in an FTS5 table for the
+ * keyword half of /search.
+ *
+ * Tables are created by schema.sql.
+ */
+
+// bm25() column weights: id (unindexed), caption, alt, tags, project, year
+const BM25_WEIGHTS = [0, 2, 1, 1, 0.5, 0.5];
+
+/**
+ * Statement that bumps the catalog version; run in the same batch as the
+ * change so readers never see new data with an old version.
+ */
+function bumpVersion(db) {
+  return db.prepare(`INSERT INTO catalog_meta (key, value) VALUES ('version', ?)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value`)
+    .bind(`${Date.now().toString(36)}-${crypto.randomUUID().slice(0, 8)}`);
+}
+
+/**
+ * Add or replace images. Each image is { id, metadata }.
+ */
+export async function putImages(db, images) {
+  if (images.length === 0) return;
+  const now = Date.now();
+  const statements = images.flatMap(({ id, metadata }) => [
+    db.prepare(`INSERT INTO images (id, metadata, updated_at) VALUES (?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET metadata = excluded.metadata, updated_at = excluded.updated_at`)
+      .bind(id, JSON.stringify(metadata), now),
+    db.prepare('DELETE FROM image_tags WHERE image_id = ?').bind(id),
+    db.prepare('DELETE FROM images_fts WHERE id = ?').bind(id),
+    db.prepare('INSERT INTO images_fts (id, caption, alt, tags, project, year) VALUES (?, ?, ?, ?, ?, ?)')
+      .bind(id, metadata.caption || '', metadata.alt || '', (metadata.tags || []).join(' '),
+        metadata.project || '', metadata.year || ''),
+    ...[...new Set(metadata.tags || [])].filter(Boolean).map(tag =>
+      db.prepare('INSERT INTO image_tags (image_id, tag) VALUES (?, ?)').bind(id, tag)
+    ),
+  ]);
+  await db.batch([...statements, bumpVersion(db)]);
+}
+
+/**
+ * Remove images by id. Ids that are not in the catalog are ignored.
+ */
+export async function deleteImages(db, ids) {
+  if (ids.length === 0) return;
+  const statements = ids.flatMap(id => [
+    db.prepare('DELETE FROM images WHERE id = ?').bind(id),
+    db.prepare('DELETE FROM image_tags WHERE image_id = ?').bind(id),
+    db.prepare('DELETE FROM images_fts WHERE id = ?').bind(id),
+  ]);
+  await db.batch([...statements, bumpVersion(db)]);
+}
+
+/**
+ * Images whose text matches any word of `query`, best first, with their
+ * BM25 score (higher is better) and metadata. Filters: `tags` (all must be
+ * present), `project` (title) and `year` (within the project's years).
+ */
+export async function keywordSearch(db, query, { tags = [], project, year, limit }) {
+  // Quote each word so FTS5 operators in the query are taken literally
+  const words = query.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  if (words.length === 0) return [];
+
+  const conditions = ['images_fts MATCH ?'];
+  const params = [words.map(word => `"${word}"`).join(' OR ')];
+
+  if (project) {
+    conditions.push("json_extract(i.metadata, '$.project') = ?");
+    params.push(project);
+  }
+  if (year) {
+    conditions.push("json_extract(i.metadata, '$.yearFrom') <= ? AND json_extract(i.metadata, '$.yearTo') >= ?");
+    params.push(year, year);
+  }
+  if (tags.length > 0) {
+    conditions.push(`(SELECT COUNT(*) FROM image_tags t WHERE t.image_id = f.id AND t.tag IN (${tags.map(() => '?').join(', ')})) = ?`);
+    params.push(...tags, tags.length);
+  }
+
+  const { results } = await db.prepare(
+    `SELECT f.id, -bm25(images_fts, ${BM25_WEIGHTS.join(', ')}) AS score, i.metadata
+     FROM images_fts f JOIN images i ON i.id = f.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY score DESC LIMIT ?`
+  ).bind(...params, limit).all();
+
+  return results.map(row => ({ id: row.id, score: row.score, metadata: JSON.parse(row.metadata) }));
+}
+
+/**
+ * Metadata of the given images, as a Map by id. Ids not in the catalog
+ * are left out.
+ */
+export async function getImages(db, ids) {
+  const found = new Map();
+  // D1 allows at most 100 bound parameters per statement
+  for (let i = 0; i < ids.length; i += 100) {
+    const batch = ids.slice(i, i + 100);
+    const { results } = await db.prepare(
+      `SELECT id, metadata FROM images WHERE id IN (${batch.map(() => '?').join(', ')})`
+    ).bind(...batch).all();
+    results.forEach(row => found.set(row.id, JSON.parse(row.metadata)));
+  }
+  return found;
+}
+
+/**
+ * One page of images in id order. `cursor` is the last id of the previous
+ * page; the returned cursor is null on the last page.
+ */
+export async function listImages(db, { cursor = '', limit }) {
+  const { results } = await db.prepare(
+    'SELECT id, metadata FROM images WHERE id > ? ORDER BY id LIMIT ?'
+  ).bind(cursor, limit + 1).all();
+
+  const page = results.slice(0, limit);
+  return {
+    images: page.map(row => ({ id: row.id, ...JSON.parse(row.metadata) })),
+    cursor: results.length > limit ? page[page.length - 1].id : null,
+  };
+}
+
+/**
+ * Every tag with the number of images carrying it, by tag name.
+ */
+export async function tagCounts(db) {
+  const { results } = await db.prepare(
+    'SELECT tag, COUNT(*) AS count FROM image_tags GROUP BY tag ORDER BY tag'
+  ).all();
+  return results;
+}
+
+/**
+ * Current catalog version, or "empty" before the first write.
+ */
+export async function catalogVersion(db) {
+  const value = await db.prepare("SELECT value FROM catalog_meta WHERE key = 'version'").first('value');
+  return value || 'empty';
+}
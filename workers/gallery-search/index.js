@@ -4,23 +4,116 @@
  * Provides AI-powered semantic search and tag management for the gallery.
  * Uses Workers AI for text embeddings and Vectorize for vector similarity search.
  *
+ * New uploads are indexed automatically: R2 event notifications for the
+ * assets bucket are delivered to the gallery-uploads queue, and the queue
+ * handler embeds originals under gallery/full/ and projects/<slug>/full/
+ * (and removes deleted ones). `npm run reindex` rebuilds project images
+ * in bulk from data/projects.json.
+ *
  * Routes:
- *   POST /search        — Semantic search by natural language query
- *   GET  /tags          — List all unique tags
- *   GET  /images        — List all indexed image metadata
- *   POST /index         — Index a new image (admin, requires API key)
+ *   POST /search        — Hybrid semantic and keyword search, with filters
+ *   POST /similar       — Images described like a given image
+ *   GET  /similar       — Whether /similar is available
+ *   GET  /tags          — Tags with image counts
+ *   GET  /images        — Indexed image metadata, paginated (?cursor=&limit=)
+ *   POST /index         — Index a new image (admin)
  *   POST /index-batch   — Index multiple images (admin)
+ *   PATCH  /images/:id  — Update an image's metadata (admin)
+ *   DELETE /images/:id  — Remove an image from the index (admin)
+ *   POST /delete-batch  — Remove several images (admin)
+ *   POST /catalog-backfill — Copy indexed images into the catalog (admin)
+ *
+ * Image ids contain a slash ("<slug>/<file>"); encode them in the path
+ * with encodeURIComponent.
+ *
+ * Admin routes require a bearer token or an HMAC-signed body (see
+ * scripts/lib/search-auth.js); they answer 401 without credentials and
+ * 403 when the credentials are wrong.
+ *
+ * /tags and /images read the D1 catalog (catalog.js), which mirrors every
+ * write to the index. They carry the catalog version as an ETag and answer
+ * If-None-Match with 304, so the site and sync-gallery-tags can poll them.
+ *
+ * Besides the text embedding, each image's thumbnail is described by an
+ * image-to-text model (IMAGE_DESCRIPTION_MODEL) and that description is
+ * embedded into a second index for /similar, so images without a caption
+ * can still be matched by what the model sees in them. This compares
+ * descriptions, not pixels: two images are similar when they are described
+ * alike. Describing is off while IMAGE_DESCRIPTION_MODEL is unset.
  *
  * Bindings:
  *   ASSETS_BUCKET  — R2 bucket (portfolio-assets)
  *   GALLERY_INDEX  — Vectorize index (gallery-embeddings)
+ *   DESCRIPTION_INDEX — Vectorize index of thumbnail descriptions (gallery-descriptions)
+ *   IMAGE_DESCRIPTION_MODEL — Workers AI image-to-text model (optional)
+ *   GALLERY_CATALOG — D1 database (gallery-catalog)
  *   AI             — Workers AI
  *   ALLOWED_ORIGINS — Comma-separated CORS origins
+ *   SITE_URL       — Deployed site, for data/projects.json
+ *   ADMIN_TOKEN    — Secret for the admin routes (wrangler secret put ADMIN_TOKEN)
+ *   (queue)        — Consumer of gallery-uploads (R2 event notifications)
  */
 
+import { toSearchRecords, searchIdForKey } from '../../scripts/lib/search-records.js';
+import { SIGNATURE_HEADER, verifyAdmin } from '../../scripts/lib/search-auth.js';
+import {
+  putImages,
+  deleteImages,
+  getImages,
+  listImages,
+  tagCounts,
+  catalogVersion,
+  keywordSearch,
+} from './catalog.js';
+
 // Embedding model
 const EMBEDDING_MODEL = '@cf/baai/bge-base-en-v1.5';
 
+// What IMAGE_DESCRIPTION_MODEL is asked about each thumbnail. The answer is
+// embedded with EMBEDDING_MODEL, so it should describe the look, not guess
+// at the story.
+const DESCRIPTION_PROMPT = 'Describe what this image shows: its subject, setting, colours, light and composition.';
+const DESCRIPTION_MAX_TOKENS = 160;
+
+// R2 event notification actions
+const CREATE_ACTIONS = new Set(['PutObject', 'CopyObject', 'CompleteMultipartUpload']);
+const DELETE_ACTIONS = new Set(['DeleteObject', 'LifecycleDeletion']);
+
+// How long to wait for a new project image to appear in the deployed data
+const PENDING_ATTEMPTS = 6;
+const PENDING_DELAY_SECONDS = 600;
+
+// Routes that change the index
+const ADMIN_ROUTES = new Set(['/index', '/index-batch', '/delete-batch', '/catalog-backfill']);
+const IMAGE_ROUTE = '/images/';
+
+// Metadata fields PATCH /images/:id may change
+const PATCHABLE_FIELDS = ['tags', 'alt', 'caption', 'project', 'section', 'src', 'thumb', 'placeholder'];
+
+// Ids per Vectorize deleteByIds call
+const DELETE_BATCH_SIZE = 100;
+
+// Ids per Vectorize getByIds call
+const GET_BATCH_SIZE = 20;
+
+// /images page size
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// Candidates taken from each half of a hybrid search (Vectorize returns
+// at most 50 matches with full metadata)
+const SEARCH_CANDIDATES = 50;
+
+// Most results /search and /similar return, and their default
+const MAX_RESULTS = 100;
+const DEFAULT_RESULTS = 20;
+
+// Share of the blended search score that comes from keyword matching
+const KEYWORD_WEIGHT = 0.25;
+
+// Catalog reads may be cached briefly; clients revalidate with the ETag
+const CATALOG_CACHE_CONTROL = 'public, max-age=60, stale-while-revalidate=300';
+
 export default {
   async fetch(request, env) {
     const url = new URL(request.url);
@@ -32,17 +125,50 @@ export default {
     }
 
     try {
+      const imageId = path.startsWith(IMAGE_ROUTE)
+        ? decodeURIComponent(path.slice(IMAGE_ROUTE.length))
+        : null;
+
+      if (ADMIN_ROUTES.has(path) || (imageId && request.method !== 'GET')) {
+        const denied = await authorizeAdmin(request, env);
+        if (denied) return corsResponse(request, env, denied);
+      }
+
       // Route handling
       if (path === '/search' && request.method === 'POST') {
         return corsResponse(request, env, await handleSearch(request, env));
       }
 
+      if (path === '/similar' && request.method === 'POST') {
+        return corsResponse(request, env, await handleSimilar(request, env));
+      }
+
+      if (path === '/similar' && request.method === 'GET') {
+        return corsResponse(request, env, jsonResponse({ available: similarSearchEnabled(env) }));
+      }
+
       if (path === '/tags' && request.method === 'GET') {
-        return corsResponse(request, env, await handleGetTags(env));
+        return corsResponse(request, env, await handleGetTags(request, env));
       }
 
       if (path === '/images' && request.method === 'GET') {
-        return corsResponse(request, env, await handleGetImages(env));
+        return corsResponse(request, env, await handleGetImages(request, env, url));
+      }
+
+      if (imageId && request.method === 'PATCH') {
+        return corsResponse(request, env, await handleUpdateImage(imageId, request, env));
+      }
+
+      if (imageId && request.method === 'DELETE') {
+        return corsResponse(request, env, await handleDeleteImage(imageId, env));
+      }
+
+      if (path === '/delete-batch' && request.method === 'POST') {
+        return corsResponse(request, env, await handleDeleteBatch(request, env));
+      }
+
+      if (path === '/catalog-backfill' && request.method === 'POST') {
+        return corsResponse(request, env, await handleCatalogBackfill(request, env));
       }
 
       if (path === '/index' && request.method === 'POST') {
@@ -66,147 +192,396 @@ export default {
       );
     }
   },
+
+  async queue(batch, env) {
+    await handleUploadEvents(batch, env);
+  },
 };
 
 /**
  * POST /search
- * Body: { query: string, limit?: number }
- * Returns: [{ id, score, metadata }]
+ * Body: { query: string, limit?: number (1–100, default 20), tags?: string[],
+ *         project?: string, year?: number, minScore?: number }
+ * Returns: [{ id, score, vectorScore, keywordScore, metadata }], best first
+ *
+ * Vector similarity finds images that mean the same thing; a BM25 keyword
+ * score over caption, alt, tags, project and year (from the catalog) rewards
+ * exact terms. Scores are blended, each in 0–1, and results below minScore
+ * are dropped. Filters narrow both halves: every tag must be present, the
+ * project matches its title, and year falls within the project's years.
  */
 async function handleSearch(request, env) {
   const body = await request.json();
-  const { query, limit = 20 } = body;
+  const { query, project, year, minScore = 0 } = body;
+  const tags = [...new Set(body.tags || [])];
+  const limit = parseLimit(body.limit);
 
   if (!query || typeof query !== 'string') {
     return jsonResponse({ error: 'Missing or invalid "query" field' }, 400);
   }
+  if (!tags.every(tag => typeof tag === 'string' && tag)) {
+    return jsonResponse({ error: '"tags" must be an array of tag names' }, 400);
+  }
+  if (project !== undefined && typeof project !== 'string') {
+    return jsonResponse({ error: '"project" must be a project title' }, 400);
+  }
+  if (year !== undefined && !Number.isInteger(year)) {
+    return jsonResponse({ error: '"year" must be a whole year' }, 400);
+  }
+  if (typeof minScore !== 'number' || minScore < 0 || minScore > 1) {
+    return jsonResponse({ error: '"minScore" must be between 0 and 1' }, 400);
+  }
+  if (limit === null) {
+    return jsonResponse({ error: '"limit" must be a whole number from 1' }, 400);
+  }
 
-  // Generate embedding for the query
-  const embeddingResult = await env.AI.run(EMBEDDING_MODEL, {
-    text: [query],
-  });
-
+  // Embed the query while the keyword search runs
+  const [embeddingResult, keywordMatches] = await Promise.all([
+    env.AI.run(EMBEDDING_MODEL, { text: [query] }),
+    keywordSearch(env.GALLERY_CATALOG, query, { tags, project, year, limit: SEARCH_CANDIDATES }),
+  ]);
   const queryVector = embeddingResult.data[0];
 
-  // Query Vectorize for nearest neighbors
+  // Project and year are filtered by Vectorize; tags are an array, which
+  // metadata filters cannot match, so they are checked on the results
   const results = await env.GALLERY_INDEX.query(queryVector, {
-    topK: Math.min(limit, 100),
+    topK: SEARCH_CANDIDATES,
     returnMetadata: 'all',
+    filter: vectorFilter({ project, year }),
+  });
+
+  const candidates = new Map();
+  results.matches
+    .filter(match => tags.every(tag => (match.metadata?.tags || []).includes(tag)))
+    .forEach(match => candidates.set(match.id, {
+      id: match.id,
+      vectorScore: match.score,
+      keywordScore: 0,
+      metadata: match.metadata || {},
+    }));
+
+  // Keyword scores are relative to the best keyword match
+  const topKeyword = Math.max(0, ...keywordMatches.map(match => match.score));
+  keywordMatches.forEach(match => {
+    const keywordScore = topKeyword > 0 ? match.score / topKeyword : 0;
+    const candidate = candidates.get(match.id);
+    if (candidate) {
+      candidate.keywordScore = keywordScore;
+    } else {
+      candidates.set(match.id, { id: match.id, vectorScore: null, keywordScore, metadata: match.metadata });
+    }
+  });
+
+  // Keyword-only matches were outside the nearest neighbours; score them
+  // against the query from their stored vectors
+  const unscored = [...candidates.values()].filter(c => c.vectorScore === null).map(c => c.id);
+  for (let i = 0; i < unscored.length; i += GET_BATCH_SIZE) {
+    const vectors = await env.GALLERY_INDEX.getByIds(unscored.slice(i, i + GET_BATCH_SIZE));
+    vectors.forEach(vector => {
+      candidates.get(vector.id).vectorScore = cosineSimilarity(queryVector, vector.values);
+    });
+  }
+
+  const matches = [...candidates.values()]
+    .map(c => ({
+      id: c.id,
+      score: (1 - KEYWORD_WEIGHT) * (c.vectorScore ?? 0) + KEYWORD_WEIGHT * c.keywordScore,
+      vectorScore: c.vectorScore ?? 0,
+      keywordScore: c.keywordScore,
+      metadata: c.metadata,
+    }))
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+
+  return jsonResponse(matches);
+}
+
+/**
+ * POST /similar
+ * Body: { id: string, limit?: number (1–100, default 20) }
+ * Returns: [{ id, score, metadata }] — the images whose thumbnail
+ * descriptions are closest to this one's, best first, not including itself
+ */
+async function handleSimilar(request, env) {
+  if (!similarSearchEnabled(env)) {
+    return jsonResponse({ error: 'Similar-image search is not configured' }, 503);
+  }
+
+  const body = await request.json();
+  const { id } = body;
+  const limit = parseLimit(body.limit);
+  if (!id || typeof id !== 'string') {
+    return jsonResponse({ error: 'Missing or invalid "id" field' }, 400);
+  }
+  if (limit === null) {
+    return jsonResponse({ error: '"limit" must be a whole number from 1' }, 400);
+  }
+
+  const [vector] = await env.DESCRIPTION_INDEX.getByIds([id]);
+  if (!vector) {
+    return jsonResponse({ error: `No description embedding for "${id}"` }, 404);
+  }
+
+  // One extra, since the image itself is its own closest match
+  const results = await env.DESCRIPTION_INDEX.query(vector.values, {
+    topK: Math.min(limit + 1, MAX_RESULTS),
   });
+  const matches = results.matches.filter(match => match.id !== id).slice(0, limit);
+  const metadata = await getImages(env.GALLERY_CATALOG, matches.map(match => match.id));
 
-  // Format results
-  const matches = results.matches.map(match => ({
+  return jsonResponse(matches.map(match => ({
     id: match.id,
     score: match.score,
-    metadata: match.metadata || {},
-  }));
+    metadata: metadata.get(match.id) || {},
+  })));
+}
 
-  return jsonResponse(matches);
+/**
+ * Whether thumbnails are described and indexed for /similar.
+ */
+function similarSearchEnabled(env) {
+  return Boolean(env.IMAGE_DESCRIPTION_MODEL && env.DESCRIPTION_INDEX);
+}
+
+/**
+ * The "limit" of a /search or /similar body: a whole number (or numeric
+ * string) of at least 1, capped at MAX_RESULTS. Null when it is anything
+ * else.
+ */
+function parseLimit(value) {
+  if (value === undefined) return DEFAULT_RESULTS;
+  const limit = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (!Number.isInteger(limit) || limit < 1) return null;
+  return Math.min(limit, MAX_RESULTS);
+}
+
+/**
+ * Vectorize metadata filter for /search. Needs metadata indexes on project,
+ * yearFrom and yearTo (see wrangler.toml).
+ */
+function vectorFilter({ project, year }) {
+  const filter = {};
+  if (project) filter.project = { $eq: project };
+  if (year) {
+    filter.yearFrom = { $lte: year };
+    filter.yearTo = { $gte: year };
+  }
+  return Object.keys(filter).length > 0 ? filter : undefined;
+}
+
+/**
+ * Cosine similarity of two vectors, the metric of the gallery index.
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
 }
 
 /**
  * GET /tags
- * Returns: string[] — all unique tags
+ * Returns: [{ tag, count }] — every tag with its number of images, by name
  */
-async function handleGetTags(env) {
-  // Query all vectors to collect tags
-  // Note: For large indexes, this should be cached in KV
-  // For now, we use a dummy query to get all items
-  const dummyVector = new Array(768).fill(0);
-  const results = await env.GALLERY_INDEX.query(dummyVector, {
-    topK: 10000,
-    returnMetadata: 'all',
-  });
+async function handleGetTags(request, env) {
+  return catalogResponse(request, env, () => tagCounts(env.GALLERY_CATALOG));
+}
+
+/**
+ * GET /images?cursor=&limit=
+ * Returns: { images: [{ id, tags, alt, caption, project, section, src, thumb, placeholder }], cursor }
+ * Pass the returned cursor to fetch the next page; it is null on the last.
+ */
+async function handleGetImages(request, env, url) {
+  const cursor = url.searchParams.get('cursor') || '';
+  const limit = Number(url.searchParams.get('limit') || DEFAULT_PAGE_SIZE);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return jsonResponse({ error: `"limit" must be between 1 and ${MAX_PAGE_SIZE}` }, 400);
+  }
+
+  return catalogResponse(request, env, () => listImages(env.GALLERY_CATALOG, { cursor, limit }));
+}
+
+/**
+ * Serve a catalog read with the catalog version as its ETag. A client that
+ * already has this version gets 304 without the query being run.
+ */
+async function catalogResponse(request, env, read) {
+  const etag = `"${await catalogVersion(env.GALLERY_CATALOG)}"`;
+  const headers = { ETag: etag, 'Cache-Control': CATALOG_CACHE_CONTROL };
+
+  const ifNoneMatch = (request.headers.get('If-None-Match') || '')
+    .split(',')
+    .map(tag => tag.trim().replace(/^W\//, ''));
+  if (ifNoneMatch.includes(etag)) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  const response = jsonResponse(await read());
+  Object.entries(headers).forEach(([name, value]) => response.headers.set(name, value));
+  return response;
+}
+
+/**
+ * Text embedded for an image: its caption and alt text, tags, and the
+ * project and piece section it belongs to.
+ */
+function embeddingText(img) {
+  return [
+    img.caption || '',
+    img.alt || '',
+    Array.isArray(img.tags) ? img.tags.join(' ') : (img.tags || ''),
+    img.project || '',
+    img.section || '',
+    img.sectionDescription || '',
+  ].filter(Boolean).join('. ');
+}
+
+/**
+ * Metadata stored with an image's vector and returned by /search and /images.
+ */
+function toMetadata(img) {
+  return {
+    tags: Array.isArray(img.tags) ? img.tags : (img.tags || '').split(',').map(t => t.trim()).filter(Boolean),
+    alt: img.alt || '',
+    caption: img.caption || '',
+    project: img.project || '',
+    year: img.year || '',
+    ...(img.yearFrom ? { yearFrom: img.yearFrom, yearTo: img.yearTo } : {}),
+    section: img.section || '',
+    src: img.src || '',
+    thumb: img.thumb || '',
+    placeholder: img.placeholder || '',
+    ...(img.width ? { width: img.width, height: img.height } : {}),
+  };
+}
 
-  const tagSet = new Set();
-  for (const match of results.matches) {
-    const tags = match.metadata?.tags;
-    if (Array.isArray(tags)) {
-      tags.forEach(tag => tagSet.add(tag));
-    } else if (typeof tags === 'string') {
-      tags.split(',').map(t => t.trim()).filter(Boolean).forEach(t => tagSet.add(t));
+/**
+ * Embed and upsert images into Vectorize, 10 at a time to avoid rate
+ * limits, and record them in the catalog. Images without any text get no
+ * text embedding (and lose a previous one); unless `describe` is false
+ * their thumbnails are described for /similar too. Returns
+ * [{ id, success, described }].
+ */
+async function indexImages(env, images, { describe = true } = {}) {
+  const batchSize = 10;
+  const results = [];
+
+  for (let i = 0; i < images.length; i += batchSize) {
+    const batch = images.slice(i, i + batchSize);
+    const described = batch.filter(img => embeddingText(img));
+    const undescribed = batch.filter(img => !embeddingText(img));
+
+    if (described.length > 0) {
+      const embeddingResult = await env.AI.run(EMBEDDING_MODEL, {
+        text: described.map(embeddingText),
+      });
+
+      await env.GALLERY_INDEX.upsert(described.map((img, idx) => ({
+        id: img.id,
+        values: embeddingResult.data[idx],
+        metadata: toMetadata(img),
+      })));
     }
+    if (undescribed.length > 0) {
+      await env.GALLERY_INDEX.deleteByIds(undescribed.map(img => img.id));
+    }
+
+    const embedded = describe ? await indexDescriptions(env, batch) : new Set();
+    await putImages(env.GALLERY_CATALOG, batch.map(img => ({ id: img.id, metadata: toMetadata(img) })));
+
+    results.push(...batch.map(img => ({ id: img.id, success: true, described: embedded.has(img.id) })));
   }
 
-  return jsonResponse([...tagSet].sort());
+  return results;
 }
 
 /**
- * GET /images
- * Returns: [{ id, tags, alt, project, src, thumb }]
+ * Describe images' thumbnails from R2 with the image-to-text model, embed
+ * the descriptions and upsert them into the description index. A failure is
+ * logged and leaves that image out of /similar rather than failing the
+ * text indexing. Returns the ids embedded.
  */
-async function handleGetImages(env) {
-  const dummyVector = new Array(768).fill(0);
-  const results = await env.GALLERY_INDEX.query(dummyVector, {
-    topK: 10000,
-    returnMetadata: 'all',
-  });
+async function indexDescriptions(env, images) {
+  const embedded = new Set();
+  if (!similarSearchEnabled(env)) return embedded;
 
-  const images = results.matches.map(match => ({
-    id: match.id,
-    ...match.metadata,
-  }));
+  for (const img of images) {
+    const key = (img.thumb || '').replace(/^\//, '');
+    if (!key) continue;
+
+    try {
+      const object = await env.ASSETS_BUCKET.get(key);
+      if (!object) {
+        console.warn(`No thumbnail at ${key} for ${img.id}; not indexed for /similar`);
+        continue;
+      }
+
+      const bytes = new Uint8Array(await object.arrayBuffer());
+      const { description } = await env.AI.run(env.IMAGE_DESCRIPTION_MODEL, {
+        image: [...bytes],
+        prompt: DESCRIPTION_PROMPT,
+        max_tokens: DESCRIPTION_MAX_TOKENS,
+      });
+      if (!description?.trim()) {
+        console.warn(`No description of ${key} for ${img.id}; not indexed for /similar`);
+        continue;
+      }
+
+      const embedding = await env.AI.run(EMBEDDING_MODEL, { text: [description.trim()] });
+      await env.DESCRIPTION_INDEX.upsert([{ id: img.id, values: embedding.data[0] }]);
+      embedded.add(img.id);
+    } catch (err) {
+      console.error(`Describing ${img.id} failed:`, err);
+    }
+  }
 
-  return jsonResponse(images);
+  return embedded;
+}
+
+/**
+ * Remove images from both indexes and the catalog.
+ */
+async function removeImages(env, ids) {
+  await env.GALLERY_INDEX.deleteByIds(ids);
+  if (env.DESCRIPTION_INDEX) await env.DESCRIPTION_INDEX.deleteByIds(ids);
+  await deleteImages(env.GALLERY_CATALOG, ids);
 }
 
 /**
  * POST /index
- * Body: { id, tags, alt, caption, project?, src, thumb }
- * Generates embedding from caption/alt and inserts into Vectorize.
+ * Body: { id, tags, alt, caption, project?, year?, yearFrom?, yearTo?, section?,
+ *         sectionDescription?, src, thumb, placeholder? }
+ * Generates embedding from caption/alt (plus the piece section it belongs to)
+ * and inserts into Vectorize.
  */
 async function handleIndex(request, env) {
   const body = await request.json();
-  const { id, tags, alt, caption, project, src, thumb } = body;
 
-  if (!id) {
+  if (!body.id) {
     return jsonResponse({ error: 'Missing "id" field' }, 400);
   }
 
-  // Generate text for embedding
-  const textForEmbedding = [
-    caption || '',
-    alt || '',
-    Array.isArray(tags) ? tags.join(' ') : (tags || ''),
-    project || '',
-  ].filter(Boolean).join('. ');
-
-  if (!textForEmbedding) {
+  if (!embeddingText(body) && !(similarSearchEnabled(env) && body.thumb)) {
     return jsonResponse({ error: 'No text content to embed (provide caption, alt, or tags)' }, 400);
   }
 
-  // Generate embedding
-  const embeddingResult = await env.AI.run(EMBEDDING_MODEL, {
-    text: [textForEmbedding],
-  });
-
-  const vector = embeddingResult.data[0];
-
-  // Prepare metadata
-  const metadata = {
-    tags: Array.isArray(tags) ? tags : (tags || '').split(',').map(t => t.trim()),
-    alt: alt || '',
-    caption: caption || '',
-    project: project || '',
-    src: src || '',
-    thumb: thumb || '',
-  };
+  const [result] = await indexImages(env, [body]);
 
-  // Insert into Vectorize
-  await env.GALLERY_INDEX.upsert([
-    {
-      id,
-      values: vector,
-      metadata,
-    },
-  ]);
-
-  return jsonResponse({ success: true, id });
+  return jsonResponse({ success: true, id: body.id, described: result.described });
 }
 
 /**
  * POST /index-batch
- * Body: { images: [{ id, tags, alt, caption, project?, src, thumb }] }
+ * Body: { images: [{ id, tags, alt, caption, project?, year?, yearFrom?, yearTo?, section?,
+ *                    sectionDescription?, src, thumb, placeholder? }] }
  */
 async function handleIndexBatch(request, env) {
   const body = await request.json();
@@ -216,47 +591,235 @@ async function handleIndexBatch(request, env) {
     return jsonResponse({ error: 'Missing or empty "images" array' }, 400);
   }
 
-  // Process in batches of 10 to avoid rate limits
-  const batchSize = 10;
-  const results = [];
+  const results = await indexImages(env, images);
 
-  for (let i = 0; i < images.length; i += batchSize) {
-    const batch = images.slice(i, i + batchSize);
+  return jsonResponse({ success: true, indexed: results.length, results });
+}
 
-    // Generate embeddings for the batch
-    const texts = batch.map(img => {
-      return [
-        img.caption || '',
-        img.alt || '',
-        Array.isArray(img.tags) ? img.tags.join(' ') : (img.tags || ''),
-        img.project || '',
-      ].filter(Boolean).join('. ');
-    });
+/**
+ * PATCH /images/:id
+ * Body: any of { tags, alt, caption, project, section, src, thumb, placeholder },
+ *       plus sectionDescription (embedded, not stored)
+ * Merges the fields into the stored metadata. The image's text is
+ * re-embedded only when its caption or alt text changes; otherwise the
+ * stored vector is kept. The description embedding never changes here.
+ */
+async function handleUpdateImage(id, request, env) {
+  const body = await request.json();
 
-    const embeddingResult = await env.AI.run(EMBEDDING_MODEL, {
-      text: texts,
-    });
+  const unknown = Object.keys(body).filter(key => !PATCHABLE_FIELDS.includes(key) && key !== 'sectionDescription');
+  if (unknown.length > 0) {
+    return jsonResponse({ error: `Unknown fields: ${unknown.join(', ')}` }, 400);
+  }
 
-    // Prepare vectors for upsert
-    const vectors = batch.map((img, idx) => ({
-      id: img.id,
-      values: embeddingResult.data[idx],
-      metadata: {
-        tags: Array.isArray(img.tags) ? img.tags : (img.tags || '').split(',').map(t => t.trim()),
-        alt: img.alt || '',
-        caption: img.caption || '',
-        project: img.project || '',
-        src: img.src || '',
-        thumb: img.thumb || '',
-      },
-    }));
+  // The catalog also lists images that only have a description embedding
+  const stored = (await getImages(env.GALLERY_CATALOG, [id])).get(id);
+  if (!stored) {
+    return jsonResponse({ error: `No image with id "${id}"` }, 404);
+  }
 
-    await env.GALLERY_INDEX.upsert(vectors);
+  const changes = Object.fromEntries(PATCHABLE_FIELDS.filter(key => key in body).map(key => [key, body[key]]));
+  const image = { ...stored, ...changes, sectionDescription: body.sectionDescription, id };
+  const reembed = ['caption', 'alt'].some(key => key in body && body[key] !== stored[key]);
+
+  if (reembed) {
+    await indexImages(env, [image], { describe: false });
+  } else {
+    const metadata = toMetadata(image);
+    const [existing] = await env.GALLERY_INDEX.getByIds([id]);
+    if (existing) {
+      await env.GALLERY_INDEX.upsert([{ id, values: existing.values, metadata }]);
+    }
+    await putImages(env.GALLERY_CATALOG, [{ id, metadata }]);
+  }
+
+  return jsonResponse({ success: true, id, reembedded: reembed });
+}
 
-    results.push(...batch.map(img => ({ id: img.id, success: true })));
+/**
+ * DELETE /images/:id
+ */
+async function handleDeleteImage(id, env) {
+  if (!(await getImages(env.GALLERY_CATALOG, [id])).has(id)) {
+    return jsonResponse({ error: `No image with id "${id}"` }, 404);
   }
 
-  return jsonResponse({ success: true, indexed: results.length, results });
+  await removeImages(env, [id]);
+
+  return jsonResponse({ success: true, id });
+}
+
+/**
+ * POST /delete-batch
+ * Body: { ids: string[] }
+ * Ids that are not in the index are ignored.
+ */
+async function handleDeleteBatch(request, env) {
+  const { ids } = await request.json();
+
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id)) {
+    return jsonResponse({ error: 'Missing or empty "ids" array' }, 400);
+  }
+
+  for (let i = 0; i < ids.length; i += DELETE_BATCH_SIZE) {
+    await removeImages(env, ids.slice(i, i + DELETE_BATCH_SIZE));
+  }
+
+  return jsonResponse({ success: true, deleted: ids.length });
+}
+
+/**
+ * POST /catalog-backfill
+ * Body: { ids: string[] }
+ * Copies the stored metadata of already-indexed images into the catalog,
+ * for images indexed before the catalog existed. Nothing is re-embedded.
+ * Returns: { success, copied, missing: string[] }
+ */
+async function handleCatalogBackfill(request, env) {
+  const { ids } = await request.json();
+
+  if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string' && id)) {
+    return jsonResponse({ error: 'Missing or empty "ids" array' }, 400);
+  }
+
+  let copied = 0;
+  const missing = [];
+  for (let i = 0; i < ids.length; i += GET_BATCH_SIZE) {
+    const batch = ids.slice(i, i + GET_BATCH_SIZE);
+    const vectors = await env.GALLERY_INDEX.getByIds(batch);
+    const found = new Set(vectors.map(vector => vector.id));
+
+    await putImages(env.GALLERY_CATALOG, vectors.map(({ id, metadata }) => ({ id, metadata: metadata || {} })));
+    copied += vectors.length;
+    missing.push(...batch.filter(id => !found.has(id)));
+  }
+
+  return jsonResponse({ success: true, copied, missing });
+}
+
+/**
+ * Fetch the deployed data/projects.json, the source of truth for project
+ * image text.
+ */
+async function fetchProjects(env) {
+  const response = await fetch(new URL('/data/projects.json', env.SITE_URL), {
+    cf: { cacheTtl: 60 },
+  });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch projects.json: ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Search record for a project original, from projects.json. Null when the
+ * project or image is not in the deployed data yet.
+ */
+function projectRecord(projects, key) {
+  const slug = key.split('/')[1];
+  const project = projects.find(p => p.slug === slug);
+  if (!project) return null;
+  return toSearchRecords(project).find(record => record.src === `/${key}`) || null;
+}
+
+/**
+ * Search record for a gallery original. Gallery images have no data file;
+ * their text is set as R2 custom metadata (alt, caption, tags as a
+ * comma-separated list) when they are uploaded.
+ */
+async function galleryRecord(env, key, id) {
+  const object = await env.ASSETS_BUCKET.head(key);
+  const { alt = '', caption = '', tags = '' } = object?.customMetadata || {};
+  return {
+    id,
+    tags: tags.split(',').map(t => t.trim()).filter(Boolean),
+    alt,
+    caption,
+    src: `/${key}`,
+    thumb: `/${key.replace('/full/', '/thumb/')}`,
+  };
+}
+
+/**
+ * Queue consumer for R2 event notifications on the assets bucket.
+ *
+ * New originals under gallery/full/ and projects/<slug>/full/ are embedded
+ * and upserted; deleted ones are removed from the index. Every other key
+ * (thumbnails, variants, manifests, archive/) is ignored. A project image
+ * that is not in the deployed projects.json yet is retried later, since
+ * images are usually uploaded before the site is rebuilt.
+ */
+async function handleUploadEvents(batch, env) {
+  let projects = null;
+
+  for (const message of batch.messages) {
+    const { action, object } = message.body;
+    const key = object?.key || '';
+    const id = searchIdForKey(key);
+
+    try {
+      if (!id) {
+        message.ack();
+      } else if (DELETE_ACTIONS.has(action)) {
+        await removeImages(env, [id]);
+        console.log(`Removed ${id} (${key} deleted)`);
+        message.ack();
+      } else if (!CREATE_ACTIONS.has(action)) {
+        message.ack();
+      } else if (key.startsWith('gallery/')) {
+        const record = await galleryRecord(env, key, id);
+        if (embeddingText(record) || similarSearchEnabled(env)) {
+          await indexImages(env, [record]);
+          console.log(`Indexed ${id}`);
+        } else {
+          console.warn(`Skipped ${key}: no alt, caption or tags in its custom metadata`);
+        }
+        message.ack();
+      } else {
+        projects = projects || await fetchProjects(env);
+        const record = projectRecord(projects, key);
+        if (record) {
+          await indexImages(env, [record]);
+          console.log(`Indexed ${id}`);
+          message.ack();
+        } else if (message.attempts < PENDING_ATTEMPTS) {
+          message.retry({ delaySeconds: PENDING_DELAY_SECONDS });
+        } else {
+          console.warn(`Skipped ${key}: not in projects.json after ${message.attempts} attempts (run npm run reindex)`);
+          message.ack();
+        }
+      }
+    } catch (err) {
+      console.error(`Failed to handle ${action} ${key}:`, err);
+      message.retry();
+    }
+  }
+}
+
+/**
+ * Check an admin request's bearer token or signature. Returns an error
+ * response to send instead, or null when the request may proceed.
+ */
+async function authorizeAdmin(request, env) {
+  const result = await verifyAdmin({
+    authorization: request.headers.get('Authorization'),
+    signature: request.headers.get(SIGNATURE_HEADER),
+    method: request.method,
+    path: new URL(request.url).pathname,
+    body: await request.clone().text(),
+    secret: env.ADMIN_TOKEN,
+  });
+
+  if (result === 'missing') {
+    const response = jsonResponse({ error: 'Authentication required' }, 401);
+    response.headers.set('WWW-Authenticate', 'Bearer realm="gallery-search"');
+    return response;
+  }
+  if (result === 'invalid') {
+    if (!env.ADMIN_TOKEN) console.error('ADMIN_TOKEN is not set; admin routes are disabled');
+    return jsonResponse({ error: 'Invalid credentials' }, 403);
+  }
+  return null;
 }
 
 /**
@@ -284,8 +847,9 @@ function corsResponse(request, env, response) {
     headers.set('Access-Control-Allow-Origin', '*');
   }
 
-  headers.set('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  headers.set('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  headers.set('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  headers.set('Access-Control-Allow-Headers', `Content-Type, Authorization, If-None-Match, ${SIGNATURE_HEADER}`);
+  headers.set('Access-Control-Expose-Headers', 'ETag');
   headers.set('Access-Control-Max-Age', '86400');
 
   return new Response(response.body, {
@@ -0,0 +1,35 @@
+-- Gallery-search catalog (D1). Apply with:
+--   npx wrangler d1 execute gallery-catalog --remote --file schema.sql
+-- from workers/gallery-search/.
+
+-- One row per indexed image; metadata is the JSON stored with its vector
+CREATE TABLE IF NOT EXISTS images (
+  id TEXT PRIMARY KEY,
+  metadata TEXT NOT NULL,
+  updated_at INTEGER NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS image_tags (
+  image_id TEXT NOT NULL,
+  tag TEXT NOT NULL,
+  PRIMARY KEY (image_id, tag)
+);
+
+CREATE INDEX IF NOT EXISTS image_tags_by_tag ON image_tags (tag);
+
+-- Keyword index for /search, ranked with bm25()
+CREATE VIRTUAL TABLE IF NOT EXISTS images_fts USING fts5 (
+  id UNINDEXED,
+  caption,
+  alt,
+  tags,
+  project,
+  year,
+  tokenize = 'porter unicode61'
+);
+
+-- "version" changes on every write and is served as the ETag
+CREATE TABLE IF NOT EXISTS catalog_meta (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL
+);